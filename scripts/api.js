@@ -0,0 +1,176 @@
+import Ctg from "./ctg.js";
+import Socket from "./socket.js";
+
+/** Methods for managing groups from macros and other modules, which are added to the module's API
+ * Each of them checks its input and throws an error, or rejects, with a localized message if it is invalid
+ */
+
+/** Get a combatant from its ID or the combatant itself
+ * @param {string|Combatant} combatantId - The ID of the combatant, or the combatant
+ * @param {Combat} [combat] - The combat to look in, defaulting to the current combat and then every combat
+ * @returns {Combatant} The combatant
+ * @throws {Error} If there is no such combatant
+ */
+function getCombatant(combatantId, combat) {
+	const id = combatantId instanceof Combatant ? combatantId.id : combatantId;
+	const combatant = (combat ? [combat] : [game.combat, ...game.combats]).map(c => c?.combatants.get(id)).find(c => c);
+	if (!combatant) throw new Error(game.i18n.format("ctg.api.notFound", { id }));
+	return combatant;
+}
+
+/** Get several combatants of the same combat
+ * @param {(string|Combatant)[]} combatantIds - The IDs of the combatants, or the combatants
+ * @param {Combat} [combat] - The combat to look in @see {@link getCombatant}
+ * @returns {[Combat, Combatant[]]} The combat and the combatants
+ * @throws {Error} If there are no combatants, any of them don't exist, or they aren't all in the same combat
+ */
+function getCombatants(combatantIds, combat) {
+	const ids = [combatantIds].flat().filter(id => id);
+	if (!ids.length) throw new Error(game.i18n.localize("ctg.api.noCombatants"));
+	const combatants = [...new Set(ids.map(id => getCombatant(id, combat)))];
+	combat = combatants[0].parent;
+	if (combatants.some(c => c.parent !== combat)) throw new Error(game.i18n.localize("ctg.api.differentCombats"));
+	return [combat, combatants];
+}
+
+/** Get the combatants of a group, or of the group which a combatant is in
+ * @param {Combatant[]|string|Combatant} groupOrCombatantId - A group, or the ID of one of its combatants
+ * @param {Combat} [combat] - The combat to look in @see {@link getCombatant}
+ * @returns {[Combat, Combatant[]]} The combat and the combatants of the group
+ */
+function resolveGroup(groupOrCombatantId, combat) {
+	if (Array.isArray(groupOrCombatantId)) return getCombatants(groupOrCombatantId, combat);
+	const combatant = getCombatant(groupOrCombatantId, combat);
+	return [combatant.parent, findGroup(combatant)];
+}
+
+/** Get the group which a combatant is in, in its combat's current mode at the "Group Level"
+ * @param {Combatant} combatant - The combatant
+ * @returns {Combatant[]} The combatants of the group, or only the combatant itself if it isn't in a group
+ */
+function findGroup(combatant) {
+	return Ctg.groupsAtLevel(undefined, combatant.parent).find(group => group.includes(combatant)) ?? [combatant];
+}
+
+/** Get the "Selection" group of a group, or of the group which a combatant is in
+ * @param {Combatant[]|string|Combatant} groupOrCombatantId - A group, or the ID of one of its combatants
+ * @param {Combat} [combat] - The combat to look in @see {@link getCombatant}
+ * @returns {[Combat, string]} The combat and the ID of the group
+ * @throws {Error} If the combatants aren't in a "Selection" group
+ */
+function getSelectionGroup(groupOrCombatantId, combat) {
+	const [parent, [combatant]] = getCombatants(groupOrCombatantId, combat);
+	const id = combatant.getFlag(Ctg.ID, "group");
+	if (!id) throw new Error(game.i18n.format("ctg.api.notInGroup", { name: combatant.name }));
+	return [parent, id];
+}
+
+/** Put combatants into a "Selection" group, or remove them from their group, through the GM if this is a player
+ * @param {Combat} combat - The combat of the combatants
+ * @param {Combatant[]} combatants - The combatants
+ * @param {string|null} group - The ID of the group, or `null` to remove them from their group
+ * @returns {Promise<object[]>} The updates which were made to the combatants
+ */
+async function setSelectionGroup(combat, combatants, group) {
+	const updates = await Socket.request("group", {
+		combatId: combat.id,
+		combatantIds: combatants.map(c => c.id),
+		group,
+	});
+	Hooks.call("ctgSelection", updates);
+	return updates;
+}
+
+/** Get the group which a combatant is in, in its combat's current mode at the "Group Level"
+ * @param {string|Combatant} combatantId - The ID of the combatant, or the combatant
+ * @param {object} [options]
+ * @param {Combat} [options.combat] - The combat to look in, defaulting to the current combat and then every combat
+ * @returns {Promise<Combatant[]>} The combatants of the group, or only the combatant itself if it isn't in a group
+ */
+export async function getGroupOf(combatantId, { combat } = {}) {
+	return findGroup(getCombatant(combatantId, combat));
+}
+
+/** Create a new "Selection" group, taking the combatants out of any groups that they were in
+ * @param {(string|Combatant)[]} combatantIds - The IDs of the combatants, or the combatants
+ * @param {object} [options]
+ * @param {string} [options.name] - A custom name for the group
+ * @param {Combat} [options.combat] - The combat of the combatants, defaulting to the current combat and then every combat
+ * @returns {Promise<Combatant[]>} The combatants of the new group
+ */
+export async function createGroup(combatantIds, { name, combat } = {}) {
+	const [parent, combatants] = getCombatants(combatantIds, combat);
+	await setSelectionGroup(parent, combatants, randomID(16));
+	if (name?.trim()) {
+		await Socket.request("label", {
+			combatId: parent.id,
+			combatantIds: combatants.map(c => c.id),
+			mode: "selection",
+			label: { name: name.trim() },
+		});
+	}
+	return combatants;
+}
+
+/** Dissolve a "Selection" group, removing all of its combatants from it
+ * @param {Combatant[]|string|Combatant} groupOrCombatantId - The group, or the ID of one of its combatants
+ * @param {object} [options]
+ * @param {Combat} [options.combat] - The combat of the group, defaulting to the current combat and then every combat
+ * @returns {Promise<Combatant[]>} The combatants which were in the group
+ */
+export async function dissolveGroup(groupOrCombatantId, { combat } = {}) {
+	const [parent, id] = getSelectionGroup(groupOrCombatantId, combat);
+	const combatants = parent.combatants.filter(c => c.getFlag(Ctg.ID, "group") === id);
+	await setSelectionGroup(parent, combatants, null);
+	return combatants;
+}
+
+/** Add combatants to an existing "Selection" group
+ * @param {Combatant[]|string|Combatant} groupOrCombatantId - The group, or the ID of one of its combatants
+ * @param {(string|Combatant)[]} combatantIds - The IDs of the combatants to add, or the combatants
+ * @param {object} [options]
+ * @param {Combat} [options.combat] - The combat of the group, defaulting to the current combat and then every combat
+ * @returns {Promise<Combatant[]>} The combatants of the group, including the new ones
+ */
+export async function addToGroup(groupOrCombatantId, combatantIds, { combat } = {}) {
+	const [parent, id] = getSelectionGroup(groupOrCombatantId, combat);
+	const [, combatants] = getCombatants(combatantIds, parent);
+	await setSelectionGroup(parent, combatants, id);
+	return parent.combatants.filter(c => c.getFlag(Ctg.ID, "group") === id);
+}
+
+/** Remove combatants from their "Selection" groups
+ * @param {(string|Combatant)[]} combatantIds - The IDs of the combatants, or the combatants
+ * @param {object} [options]
+ * @param {Combat} [options.combat] - The combat of the combatants, defaulting to the current combat and then every combat
+ * @returns {Promise<Combatant[]>} The combatants which were removed
+ */
+export async function removeFromGroup(combatantIds, { combat } = {}) {
+	const [parent, combatants] = getCombatants(combatantIds, combat);
+	await setSelectionGroup(parent, combatants, null);
+	return combatants;
+}
+
+/** Roll initiative for a group, apply it to its combatants, and post it in the chat like the Combat Tracker does
+ * @param {Combatant[]|string|Combatant} groupOrCombatantId - The group, or the ID of one of its combatants
+ * @param {object} [options]
+ * @param {Combat} [options.combat] - The combat of the group, defaulting to the current combat and then every combat
+ * @param {string} [options.policy] - Which roll is used for the group, defaulting to the "Group Initiative Policy" setting @see {@link Ctg.INITIATIVE_POLICIES}
+ * @param {boolean} [options.updateTurn=true] - Whether to keep the turn on the current combatant
+ * @param {object} [options.messageOptions] - Additional data for the chat message
+ * @returns {Promise<{updates: object[], roll: Roll}>} The initiative updates for the combatants and the roll
+ */
+export async function rollGroup(groupOrCombatantId, { combat, policy, updateTurn, messageOptions } = {}) {
+	const [parent, group] = resolveGroup(groupOrCombatantId, combat);
+	if (policy !== undefined && !Ctg.INITIATIVE_POLICIES.includes(policy)) {
+		throw new Error(game.i18n.format("ctg.api.invalidPolicy", { policy }));
+	}
+	const [result] = await Ctg.rollGroups([group], parent, {
+		context: "roll",
+		ids: group.map(c => c.id),
+		policy,
+		updateTurn,
+		messageOptions,
+	});
+	return result;
+}
@@ -1,5 +1,19 @@
-import { recursiveGetPropertyConcat, getDisplayName, resizePopout } from "./helpers.js";
+import { convexHull, createMode, getDisplayName, resizePopout } from "./helpers.js";
+import {
+	recursiveGetPropertyConcat,
+	getPathValue,
+	getModeValues,
+	compareCombatants,
+	clusterCombatants,
+	groupByPaths,
+	isGroupable,
+	sortGroups,
+} from "./engine.js";
 import ModeConfig from "./modeConfig.js";
+import Socket from "./socket.js";
+import { runMigrations } from "./migrations.js";
+import * as api from "./api.js";
+import * as engine from "./engine.js";
 import registerKeybindings from "./keybindings.js";
 import registerSettings from "./settings.js";
 
@@ -20,7 +34,7 @@ export default class Ctg {
 			registerPackageDebugFlag(Ctg.ID);
 		});
 
-		Hooks.on("ready", () => {
+		Hooks.on("ready", async () => {
 			// Console art
 			console.log(
 				`%c${game.i18n.localize("ctg.welcome.name")}`,
@@ -33,14 +47,50 @@ export default class Ctg {
 			// Initialize API
 			game.modules.get(Ctg.ID).api = mergeObject(Ctg, {
 				recursiveGetPropertyAsString: recursiveGetPropertyConcat,
+				getPathValue,
 				getDisplayName,
 				resizePopout,
 				ModeConfig,
+				Socket,
+				...api, // Methods for managing groups
+				engine,
 			});
 
+			// Migrate saved data from older versions before it is used
+			await runMigrations();
+
 			// Update stored version
 			game.settings.set(Ctg.ID, "version", game.modules.get(Ctg.ID).data.version);
 
+			// Re-render Combat Tracker when tokens move in Proximity mode
+			Hooks.on("updateToken", (token, change) => {
+				if (!["x", "y", "disposition"].some(key => key in change)) return;
+				const inProximityMode = game.combats
+					.filter(combat => combat.getCombatantByToken(token.id))
+					.some(combat => [Ctg.getMode(combat), Ctg.getSubMode(combat)].includes("proximity"));
+				if (inProximityMode) ui.combat?.render(true);
+			});
+
+			// Re-render Combat Tracker when the secondary mode of a combat changes
+			Hooks.on("updateCombat", (combat, change) => {
+				if (hasProperty(change, `flags.${Ctg.ID}.subMode`)) ui.combat?.render(true);
+			});
+
+			// Re-render Combat Tracker and call hook when the mode of a combat changes
+			Hooks.on("updateCombat", (combat, change) => {
+				if (!hasProperty(change, `flags.${Ctg.ID}.mode`)) return;
+				Ctg.log(false, `Mode of combat "${combat.id}" changed to "${Ctg.getMode(combat)}"`);
+				ui.combat?.render(true);
+				Hooks.call("ctgModeUpdate", Ctg.getMode(combat), combat);
+			});
+
+			// Re-render Combat Tracker when the default modes of a scene change
+			Hooks.on("updateScene", (scene, change) => {
+				if (["mode", "subMode"].some(key => hasProperty(change, `flags.${Ctg.ID}.${key}`))) {
+					ui.combat?.render(true);
+				}
+			});
+
 			// Re-render Combat Tracker when mobs update
 			if (game.modules.get("mob-attack-tool")?.active) {
 				Hooks.on("matMobUpdate", () => {
@@ -51,17 +101,7 @@ export default class Ctg {
 			}
 
 			// Manage rolling group initiative if GM
-			if (game.user?.isGM) {
-				this.rollGroupInitiative();
-			} else {
-				// Hide keybindings for everyone else
-				const style = document.createElement("style");
-				style.innerHTML = `
-                #keybindings .ctg {
-                    display: none;
-                }`;
-				document.head.appendChild(style);
-			}
+			if (game.user?.isGM) this.rollGroupInitiative();
 
 			Hooks.on("renderCombatTracker", async (app, [html], data) => {
 				// Exit if there is no combat
@@ -70,13 +110,13 @@ export default class Ctg {
 				// Manage and create modes if GM
 				if (game.user?.isGM) {
 					await Ctg.manageModes();
-					this.createModes(html, app.popOut);
+					this.createModes(html, app.popOut, data.combat);
 				}
 				// Create groups
-				this.manageGroups(game.settings.get(Ctg.ID, "mode"), app.popOut);
+				this.manageGroups(Ctg.getMode(data.combat), app.popOut, data.combat);
 
 				// Checked mode
-				if (game.settings.get(Ctg.ID, "mode") === "checked") {
+				if (Ctg.getMode(data.combat) === "checked") {
 					// Create checkboxes nest to each combatant
 					html.querySelectorAll(".combatant").forEach(el => {
 						const input = document.createElement("input");
@@ -84,16 +124,22 @@ export default class Ctg {
 						input.classList.add("ctg");
 						el.prepend(input);
 						// Get initial state
-						input.checked = game.combat.combatants.get(el.dataset.combatantId).getFlag(Ctg.ID, "checked");
+						input.checked = data.combat.combatants.get(el.dataset.combatantId)?.getFlag(Ctg.ID, "checked");
 					});
 
-					// Update combatant flags when a checkbox is clicked
+					// Update combatant flags when a checkbox is clicked, through the GM if this is a player
 					html.addEventListener("click", ({ target }) => {
 						if (!target.matches("input[type='checkbox'].ctg")) return;
-						const id = target.closest(".combatant").dataset.combatantId;
-						if (game.user.isGM) game.combat.combatants.get(id).setFlag(Ctg.ID, "checked", target.checked);
-						// Proxy to GM
-						else game.socket.emit("module.ctg", { id, checked: target.checked });
+						const combatantId = target.closest(".combatant").dataset.combatantId;
+						Socket.request("check", {
+							combatId: data.combat.id,
+							combatantId,
+							checked: target.checked,
+						}).catch(error => {
+							// Undo the click if it failed
+							target.checked = !target.checked;
+							ui.notifications.warn(`${game.i18n.localize("ctg.ID")} | ${error.message}`);
+						});
 					});
 				}
 
@@ -101,7 +147,7 @@ export default class Ctg {
 				if (game.modules.get("_dev-mode")?.api?.getPackageDebugValue(Ctg.ID)) {
 					html.querySelectorAll("details.ctg-toggle").forEach(el => (el.open = true));
 					html.querySelectorAll("li.combatant").forEach(el =>
-						el.append(game.combat.turns.findIndex(t => t.id === el.dataset.combatantId))
+						el.append(data.combat.turns.findIndex(t => t.id === el.dataset.combatantId))
 					);
 					ui.sidebar.activateTab("combat");
 				}
@@ -110,25 +156,42 @@ export default class Ctg {
 			// Re-render the combat tracker in case the initial render was missed
 			ui.combat.render(true);
 
-			// Manage proxied changes
-			if (game.user?.isGM) {
-				game.socket.on("module.ctg", ({ id, checked }) => {
-					// If the logged in user is the active GM with the lowest user id
-					const isResponsibleGM = game.users
-						.filter(user => user.isGM && user.active)
-						.some(other => other.id <= game.user.id);
-					console.log(isResponsibleGM, id, checked);
-					if (!isResponsibleGM) return;
-					game.combat.combatants.get(id).setFlag(Ctg.ID, "checked", checked);
-				});
-			}
+			// Manage changes proxied through the GM
+			Socket.initialize();
 		});
 
+		// Clear the cached groups when they change, before anything else uses them
+		this.groupCaching();
+
 		// Run group skipping code
 		this.groupSkipping();
 
+		// Group turn hooks and announcements
+		this.groupTurns();
+
 		// Group selection
 		this.groupSelection();
+
+		// Group leader selection
+		this.groupLeader();
+
+		// Group header context menu
+		this.groupContextMenu();
+
+		// Highlighting and outlining groups on the canvas
+		this.groupHighlighting();
+
+		// Dragging combatants between groups
+		this.groupDragDrop();
+
+		// Re-rolling group initiative each round
+		this.groupReroll();
+
+		// Checked mode automation
+		this.checkedMode();
+
+		// Default modes for scenes
+		this.sceneModes();
 	}
 
 	/** The module's ID */
@@ -145,58 +208,173 @@ export default class Ctg {
 		}
 	}
 
+	/** A grouping mode
+	 * @typedef {object} Mode
+	 * @property {string} id - The unique ID of the mode, which is saved when the mode is chosen
+	 * @property {string} label - The name of the mode which is shown in the Combat Tracker
+	 * @property {string[]} paths - The paths to the values relative to the {@link CombatantData}, all of which must match for combatants to be grouped
+	 * @property {object} options - Further options for the mode
+	 */
+
 	/** Grouping Modes
-	 * The first item is the name and the second is the path
-	 * @type {string[][]}
-	 * @property {string} name - The name of the mode
-	 * @property {string} path - The path to the mode relative to the {@link CombatantData}
+	 * @type {Mode[]}
 	 */
 	static get MODES() {
-		return game.settings.get(Ctg.ID, "modes");
+		// Modes may still be arrays until the GM has migrated them
+		return (game.settings.get(Ctg.ID, "modes") ?? []).map(createMode);
 	}
 	static set MODES(value) {
 		game.settings.set(Ctg.ID, "modes", value);
 	}
 	/** Update the grouping modes asynchronously
 	 * @see MODES
-	 * @param {string[][]} value - An array of modes
-	 * @returns {Promise<string[][]>} The new modes
+	 * @param {Mode[]} value - An array of modes
+	 * @returns {Promise<Mode[]>} The new modes
 	 */
 	static async setMODES(value) {
 		return game.settings.set(Ctg.ID, "modes", value);
 	}
 
+	/** Preset grouping modes for specific game systems, keyed by the ID of the system
+	 * @type {Object<string, Mode[]>}
+	 */
+	static PRESETS = {
+		dnd5e: [
+			{ id: "cr", label: "CR", paths: ["actor.data.data.details.cr"], options: {} },
+			{ id: "creatureType", label: "Creature type", paths: ["actor.data.data.details.type.value"], options: {} },
+		],
+		pf2e: [
+			{ id: "level", label: "Level", paths: ["actor.data.data.details.level.value"], options: {} },
+			{ id: "rarity", label: "Rarity", paths: ["actor.data.data.traits.rarity"], options: {} },
+		],
+	};
+
+	/** Get the grouping mode of a combat
+	 * This is the mode chosen for the combat, or else the default mode of its scene, or else the default mode of the world
+	 * @param {Combat} [combat=game.combat] - The combat
+	 * @returns {string} The name of the mode
+	 */
+	static getMode(combat = game.combat) {
+		const ids = Ctg.MODES.map(m => m.id);
+		return (
+			[
+				combat?.getFlag(Ctg.ID, "mode"),
+				combat?.scene?.getFlag(Ctg.ID, "mode"),
+				game.settings.get(Ctg.ID, "mode"),
+			].find(mode => ids.includes(mode)) ?? "none"
+		);
+	}
+
+	/** Set the grouping mode of a combat
+	 * @param {string} mode - The name of the mode
+	 * @param {Combat|null|{combat: Combat|null}} [combat=game.combat] - The combat, or `null` to set the default mode of the world instead, either directly or as a `combat` option
+	 * @returns {Promise<Combat|string>} The updated combat or the new default mode
+	 * @throws {Error} If there isn't a mode with that name or the combat isn't a Combat
+	 */
+	static async setMode(mode, combat = game.combat) {
+		if (combat?.constructor === Object) combat = combat.combat === undefined ? game.combat : combat.combat;
+		if (!Ctg.MODES.some(m => m.id === mode)) throw new Error(game.i18n.format("ctg.api.invalidMode", { mode }));
+		if (combat !== null && !(combat instanceof Combat)) {
+			throw new Error(game.i18n.localize("ctg.api.invalidCombat"));
+		}
+		if (combat) return combat.setFlag(Ctg.ID, "mode", mode);
+		return game.settings.set(Ctg.ID, "mode", mode);
+	}
+
+	/** Get the secondary mode of a combat, which nests groups within the groups of its mode
+	 * This is the secondary mode chosen for the combat, or else the default of its scene, or else the default of the world
+	 * @param {Combat} [combat=game.combat] - The combat
+	 * @returns {string} The name of the secondary mode, which is "none" if the groups aren't nested
+	 */
+	static getSubMode(combat = game.combat) {
+		const ids = Ctg.MODES.map(m => m.id);
+		return (
+			[
+				combat?.getFlag(Ctg.ID, "subMode"),
+				combat?.scene?.getFlag(Ctg.ID, "subMode"),
+				game.settings.get(Ctg.ID, "subMode"),
+			].find(mode => ids.includes(mode)) ?? "none"
+		);
+	}
+
+	/** Set the secondary mode of a combat
+	 * @param {string} mode - The name of the mode, or "none" to stop nesting groups
+	 * @param {Combat} [combat=game.combat] - The combat, or `null` to set the default secondary mode of the world instead
+	 * @returns {Promise<Combat|string>} The updated combat or the new default secondary mode
+	 */
+	static async setSubMode(mode, combat = game.combat) {
+		if (combat) return combat.setFlag(Ctg.ID, "subMode", mode);
+		return game.settings.set(Ctg.ID, "subMode", mode);
+	}
+
 	/** Whether the user is currently holding down the Group Initiative rolling keybind
 	 * @type {boolean}
 	 */
 	static groupInitiativeKeybind = false;
 
-	/** Create Groups of Combatants
+	/** The active GM who is responsible for making automatic changes, which is the one with the lowest user ID
+	 * @type {User|undefined}
+	 */
+	static get responsibleGM() {
+		return game.users
+			.filter(user => user.isGM && user.active)
+			.sort((a, b) => (a.id > b.id ? 1 : -1))
+			.at(0);
+	}
+
+	/** Groups which have already been computed, keyed by their combat, their mode, and the combatants which were grouped
+	 * This is cleared whenever anything which the groups depend on changes @see {@link groupCaching}
+	 * @type {Map<string, Combatant[][]>}
+	 */
+	static groupCache = new Map();
+
+	/** Whether a combatant can be grouped, depending on its visibility and the "Don't Group" settings
+	 * @param {Combatant} combatant - The combatant
+	 * @returns {boolean}
+	 */
+	static canGroup(combatant) {
+		return (
+			combatant.visible &&
+			!(game.settings.get(Ctg.ID, "noGroupHidden") && combatant.hidden) &&
+			!(game.settings.get(Ctg.ID, "noGroupPCs") && combatant.hasPlayerOwner)
+		);
+	}
+
+	/** Get the reason why combatants can't be grouped by a mode
+	 * @param {string} mode - The mode
+	 * @returns {string|null} The localized reason, or `null` if they can be grouped by it
+	 */
+	static getModeError(mode) {
+		if (!Ctg.MODES.map(m => m.id).includes(mode)) {
+			return game.i18n.format("ctg.notifications.invalidMode", { mode });
+		}
+		if (mode === "mob" && !game.modules.get("mob-attack-tool")?.active) {
+			return game.i18n.localize("ctg.notifications.mobModeRequiresMAT");
+		}
+		return null;
+	}
+
+	/** Create Groups of Combatants, or get them from the cache if nothing has changed since they were last created
+	 * This doesn't notify the user if the mode can't be used, which is left to the caller @see {@link getModeError}
 	 * @param {string} mode - The current mode
-	 * @returns {Combatant[][]} An array of groups
+	 * @param {Combat} [combat=game.combat] - The combat whose combatants are grouped
+	 * @param {Combatant[]} [combatants=combat.turns] - The combatants to group
+	 * @returns {Combatant[][]|undefined} An array of groups, or `undefined` if the mode can't be used
 	 */
-	static groups(mode) {
+	static groups(mode, combat = game.combat, combatants = combat?.turns) {
 		/** @type {Combatant[][]} */
 		let groups;
 
-		// Exit if invalid mode
-		if (!Ctg.MODES.map(m => m[0]).includes(mode)) {
-			ui.notifications.error(
-				`${game.i18n.localize("ctg.ID")} | ${game.i18n.format("ctg.notifications.invalidMode", { mode })}`
-			);
-			return;
-		}
+		// Exit if the mode can't be used
+		if (Ctg.getModeError(mode)) return;
+
+		// Use the groups which were already computed for these combatants
+		const key = `${combat?.id}.${mode}.${combatants?.map(c => c.id).join(",")}`;
+		if (Ctg.groupCache.has(key)) return Ctg.groupCache.get(key).map(group => [...group]);
 
 		// Special behavior for creating groups in Mob mode
 		if (mode === "mob") {
-			if (!game.modules.get("mob-attack-tool")?.active) {
-				ui.notifications.warn(
-					`${game.i18n.localize("ctg.ID")} | ${game.i18n.localize("ctg.notifications.mobModeRequiresMAT")}`
-				);
-				return;
-			}
-
-			const sortByTurns = (a, b) => game.combat?.turns.indexOf(a) - game.combat?.turns.indexOf(b);
+			const sortByTurns = (a, b) => combat?.turns.indexOf(a) - combat?.turns.indexOf(b);
 			const alreadyInMob = [];
 
 			// Get groups from MAT mobs
@@ -217,83 +395,615 @@ export default class Ctg {
 							alreadyInMob.push(id);
 							return !already;
 						})
-						.map(id => canvas.scene?.tokens.get(id)?.combatant)
+						.map(id => combat?.getCombatantByToken(id))
+						.filter(combatant => combatants?.includes(combatant))
 				) // Get combatants
 				.map(arr => arr.sort(sortByTurns).filter(x => x)); // Sort combatants within each group and filter out tokens without combatants
+		} else if (mode === "proximity" && !canvas.ready) {
+			// Tokens can't be near each other if no scene is drawn, e.g. if there is no active scene or the canvas is disabled
+			groups = [];
+		} else if (mode === "proximity") {
+			// Special behavior for creating groups in Proximity mode
+			const maxDistance = game.settings.get(Ctg.ID, "proximityDistance") * canvas.dimensions.distance;
+			const sameDisposition = game.settings.get(Ctg.ID, "proximityDisposition");
+
+			/** Whether the tokens of two combatants are near each other
+			 * @param {Combatant} a
+			 * @param {Combatant} b
+			 * @returns {boolean}
+			 */
+			const isNear = (a, b) =>
+				(!sameDisposition || a.token.data.disposition === b.token.data.disposition) &&
+				canvas.grid.measureDistance(a.token.object.center, b.token.object.center, { gridSpaces: true }) <=
+					maxDistance;
+
+			// Only group combatants whose tokens are on the current scene
+			groups = clusterCombatants(
+				combatants?.filter(c => Ctg.canGroup(c) && c.token?.object && c.token.parent === canvas.scene) ?? [],
+				isNear
+			);
 		} else {
-			// Get the path for this mode
-			const path = Ctg.MODES.find(m => m[0] === mode).slice(-1)[0];
-
-			// Reduce combat turns into an array of groups by matching a given property path
-			groups = Object.values(
-				game.combat?.turns.reduce((accumulator, current) => {
-					const value = recursiveGetPropertyConcat(current, path);
-
-					// Conditions for not grouping:
-					if (
-						current.visible &&
-						value &&
-						!(game.settings.get(Ctg.ID, "noGroupHidden") && current.hidden) &&
-						!(game.settings.get(Ctg.ID, "noGroupPCs") && current.hasPlayerOwner)
-					) {
-						// Group by the property
-						accumulator[value] = [...(accumulator[value] || []), current];
-					}
-					return accumulator;
-				}, {})
-			).reverse();
+			// Group the combatants by matching all of the mode's property paths
+			const definition = Ctg.MODES.find(m => m.id === mode);
+			groups = groupByPaths(combatants ?? [], definition, Ctg.canGroup);
 		}
 
-		groups = groups
-			.map(group => group.sort(this.sortCombatants)) // Sort each group
-			.sort((a, b) => this.sortCombatants(a[0], b[0])); // Sort by the first combatant
-		game.combat.turns.sort(this.sortCombatants);
+		groups = sortGroups(groups, Ctg.sortCombatants);
+		Ctg.groupCache.set(key, groups);
 
 		Ctg.log(false, "Groups have been recalculated:", groups);
-		return groups;
+		return groups.map(group => [...group]);
+	}
+
+	/** Create Groups of Combatants at a level of the hierarchy of nested groups
+	 * @param {number} [level] - 0 for the groups of the primary mode or 1 for the groups nested within them by the secondary mode
+	 * @param {Combat} [combat=game.combat] - The combat whose combatants are grouped
+	 * @returns {Combatant[][]} An array of groups
+	 */
+	static groupsAtLevel(level = game.settings.get(Ctg.ID, "groupLevel"), combat = game.combat) {
+		const mode = Ctg.getMode(combat);
+		const groups = Ctg.groups(mode, combat) ?? [];
+		const subMode = Ctg.getSubMode(combat);
+
+		// Use the primary groups if they aren't being nested
+		if (level < 1 || [mode, "none"].includes(subMode)) return groups;
+
+		// Split each of the groups by the secondary mode, keeping any remaining combatants in groups of their own
+		return groups.flatMap(group => {
+			const subgroups = Ctg.groups(subMode, combat, group) ?? [];
+			return [
+				...subgroups,
+				...group.filter(combatant => !subgroups.some(s => s.includes(combatant))).map(combatant => [combatant]),
+			].sort((a, b) => this.sortCombatants(a[0], b[0]));
+		});
+	}
+
+	/** Get the key under which the custom label of a group is stored on its combat
+	 * @param {Combatant[]} group - The group
+	 * @param {string} mode - The mode which created the group
+	 * @returns {string|null} The key, or `null` if the label is stored on the group's combatants instead
+	 */
+	static getGroupKey(group, mode) {
+		// Groups without a value to identify them by keep their label on their combatants
+		if (["selection", "mob", "proximity"].includes(mode)) return null;
+		const definition = Ctg.MODES.find(m => m.id === mode);
+		return JSON.stringify(getModeValues(group[0], definition));
+	}
+
+	/** Get the custom label which the GM has given to a group
+	 * @param {Combatant[]} group - The group
+	 * @param {string} [mode] - The mode which created the group, defaulting to the mode of its combat
+	 * @param {Combat} [combat] - The combat which the group belongs to
+	 * @returns {{name?: string, color?: string, icon?: string}|null} The custom name, color, and icon of the group
+	 */
+	static getGroupLabel(group, mode = Ctg.getMode(group[0]?.parent), combat = group[0]?.parent) {
+		const key = Ctg.getGroupKey(group, mode);
+		if (key === null) return group.map(combatant => combatant.getFlag(Ctg.ID, "label")).find(l => l) ?? null;
+		return combat?.getFlag(Ctg.ID, "labels")?.find(l => l.mode === mode && l.key === key) ?? null;
+	}
+
+	/** Set the custom label of a group
+	 * @param {Combatant[]} group - The group
+	 * @param {{name?: string, color?: string, icon?: string}|null} label - The new label, or `null` to remove it
+	 * @param {string} [mode] - The mode which created the group, defaulting to the mode of its combat
+	 * @param {Combat} [combat] - The combat which the group belongs to
+	 * @returns {Promise<Combat|Combatant[]>}
+	 */
+	static async setGroupLabel(group, label, mode = Ctg.getMode(group[0]?.parent), combat = group[0]?.parent) {
+		// Remove the label if it is empty
+		if (!Object.values(label ?? {}).some(v => v)) label = null;
+
+		// Store the label on each of the combatants
+		const key = Ctg.getGroupKey(group, mode);
+		if (key === null) {
+			return combat?.updateEmbeddedDocuments(
+				"Combatant",
+				group.map(combatant => ({ _id: combatant.id, [`flags.${Ctg.ID}.label`]: label }))
+			);
+		}
+
+		// Or replace the label stored for this group value on the combat
+		const labels = (combat?.getFlag(Ctg.ID, "labels") ?? []).filter(l => !(l.mode === mode && l.key === key));
+		if (label) labels.push({ ...label, mode, key });
+		return combat?.setFlag(Ctg.ID, "labels", labels);
+	}
+
+	/** Get the name of a group, using its custom name if it has one
+	 * @param {Combatant[]} group - The group
+	 * @param {string} [mode] - The mode which created the group, defaulting to the mode of its combat
+	 * @param {Combat} [combat] - The combat which the group belongs to
+	 * @returns {string} The name of the group
+	 */
+	static getGroupName(group, mode = Ctg.getMode(group[0]?.parent), combat = group[0]?.parent) {
+		return Ctg.getGroupLabel(group, mode, combat)?.name || getDisplayName(group);
+	}
+
+	/** Open a dialog for the GM to rename a group and choose its color and icon
+	 * @param {Combatant[]} group - The group
+	 * @param {string} [mode] - The mode which created the group, defaulting to the mode of its combat
+	 * @param {Combat} [combat] - The combat which the group belongs to
+	 */
+	static async editGroupLabel(group, mode = Ctg.getMode(group[0]?.parent), combat = group[0]?.parent) {
+		const label = Ctg.getGroupLabel(group, mode, combat) ?? {};
+
+		/** Save the label, through the GM if this is a player */
+		const save = label =>
+			Socket.request("label", { combatId: combat.id, combatantIds: group.map(c => c.id), mode, label }).catch(
+				error => ui.notifications.warn(`${game.i18n.localize("ctg.ID")} | ${error.message}`)
+			);
+
+		const content = await renderTemplate(`modules/${Ctg.ID}/templates/groupLabel.hbs`, {
+			label,
+			placeholder: getDisplayName(group),
+		});
+
+		new Dialog({
+			title: game.i18n.localize("ctg.groupLabel.title"),
+			content,
+			buttons: {
+				save: {
+					icon: '<i class="fas fa-save"></i>',
+					label: game.i18n.localize("ctg.groupLabel.save"),
+					callback: html => {
+						const data = new FormDataExtended(html[0].querySelector("form")).toObject();
+						save({ name: data.name.trim(), color: data.color, icon: data.icon.trim() });
+					},
+				},
+				reset: {
+					icon: '<i class="fas fa-undo"></i>',
+					label: game.i18n.localize("ctg.groupLabel.reset"),
+					callback: () => save(null),
+				},
+			},
+			default: "save",
+			render: html => {
+				// Keep the color picker and the text field in sync
+				const [text, picker] = html[0].querySelectorAll(".ctg-groupLabel-color input");
+				picker.addEventListener("input", () => (text.value = picker.value));
+				text.addEventListener("input", () => {
+					if (/^#[0-9a-f]{6}$/i.test(text.value)) picker.value = text.value;
+				});
+			},
+		}).render(true);
 	}
 
-	/** Sort the combatants
+	/** Sort the combatants by the paths of the mode of their combat, using the mode's sort options
+	 * The order is always the same for the same combatants, so groups don't move around between renders
 	 * @param {Combatant} a
 	 * @param {Combatant} b
-	 * @returns {1 | -1} 1 if a should go before b, -1 if b should go before a
+	 * @returns {number} A negative number if a should go before b, or a positive number if b should go before a
 	 */
 	static sortCombatants(a, b) {
-		// Sort by the current mode's path
-		if (game.settings.get(Ctg.ID, "sortCombatants")) {
-			// Get the path for the current mode
-			const path = Ctg.MODES.find(m => m[0] === game.settings.get(Ctg.ID, "mode")).slice(-1)[0];
-
-			// Get the values for the two combatants
-			let ia = recursiveGetPropertyConcat(a, path);
-			let ib = recursiveGetPropertyConcat(b, path);
-
-			if (typeof ia === "boolean" && typeof ib === "boolean") {
-				return ia ? 1 : -1;
-			} else if (Number.isNumeric(ia) && Number.isNumeric(ib)) {
-				const ci = ib - ia;
-				if (ci !== 0) return ci;
-			} else if (typeof ia === "object" && typeof ib === "object") {
-				// Get the first item if it's an array
-				ia = Array.isArray(ia) ? ia[0] : ia;
-				ib = Array.isArray(ib) ? ib[0] : ib;
-				return ia?.id > ib?.id ? 1 : -1;
-			} else if (typeof ia === "string" && typeof ib === "string") {
-				if (/[A-Za-z0-9]{16}/.test(ia) && /[A-Za-z0-9]{16}/.test(ib)) {
-					// Sort by initiative if they are IDs
-					const ci = b?.initiative - a?.initiative;
-					if (ci !== 0) return ci;
-				} else {
-					// Otherwise, sort alphabetically
-					return ia.localeCompare(ib);
-				}
-			}
-			// Fallback to comparing the IDs
-			return a?.id > b?.id ? 1 : -1;
+		// If disabled, sort by the default order
+		if (!game.settings.get(Ctg.ID, "sortCombatants")) return (a?.parent ?? game.combat)?._sortCombatants(a, b);
+
+		// Sort by the current mode's paths and sort options
+		const mode = Ctg.MODES.find(m => m.id === Ctg.getMode(a?.parent));
+		return compareCombatants(a, b, mode);
+	}
+
+	/** Get the groups of a combat in the order of its turns, treating ungrouped combatants as their own group
+	 * @param {Combat} [combat=game.combat] - The combat
+	 * @param {number} [level] - The level of the nested groups @see {@link groupsAtLevel}
+	 * @returns {Combatant[][]} The groups in the order that they are shown in the Combat Tracker
+	 */
+	static turnGroups(combat = game.combat, level = undefined) {
+		const groups = Ctg.groupsAtLevel(level, combat);
+		const units = [];
+		combat?.turns.forEach(combatant => {
+			const unit = groups.find(g => g.includes(combatant)) ?? [combatant];
+			if (!units.includes(unit)) units.push(unit);
+		});
+		return units;
+	}
+
+	/** Move the turn to the first combatant of the next or previous group, moving on to the next or previous round at the ends
+	 * @param {number} direction - 1 for the next group or -1 for the previous group
+	 * @param {Combat} [combat=game.combat] - The combat
+	 * @returns {Promise<Combat|undefined>} The updated combat
+	 */
+	static async goToGroup(direction, combat = game.combat) {
+		if (!combat?.started) return;
+		const groups = Ctg.turnGroups(combat);
+		const index = groups.findIndex(group => group.includes(combat.combatant)) + direction;
+		if (index >= groups.length) return combat.nextRound();
+		if (index < 0) return combat.previousRound();
+		return combat.update({ turn: combat.turns.indexOf(groups[index][0]) }, { ctgGroupSkipping: false });
+	}
+
+	/** Group the combatants of the controlled tokens in "Selection" mode, or ungroup them if they're all in the same group
+	 * This is done through the GM if this is a player
+	 * @returns {Promise<object[]|undefined>} The updates which were made to the combatants
+	 */
+	static async groupControlledTokens() {
+		// Get the combatants whose tokens are controlled
+		const combatants = [
+			...new Set(canvas.tokens.controlled.filter(token => token.inCombat).map(token => token.combatant)),
+		];
+
+		// Unset the flag if all controlled tokens have the same non-nullish value
+		const values = new Set(combatants.map(combatant => combatant.getFlag(Ctg.ID, "group") ?? null));
+		const unset = values.size === 1 && !values.has(null);
+
+		// Update the flag on each combatant, through the GM if this is a player
+		try {
+			const updates = await Socket.request("group", {
+				combatId: game.combat?.id,
+				combatantIds: combatants.map(combatant => combatant.id),
+				group: unset ? null : randomID(16),
+			});
+
+			// Call selection hook
+			Hooks.call("ctgSelection", updates);
+
+			ui.notifications.info(
+				game.i18n.format("ctg.notifications.groupSelection", {
+					action: unset
+						? game.i18n.localize("ctg.actions.removed")
+						: game.i18n.localize("ctg.actions.created"),
+					count: updates.length,
+				})
+			);
+			return updates;
+		} catch (error) {
+			ui.notifications.warn(`${game.i18n.localize("ctg.ID")} | ${error.message}`);
+		}
+	}
+
+	/** Get the combatants in a group from its header in the Combat Tracker
+	 * @param {HTMLElement} header - The header of the group
+	 * @returns {Combatant[]} The combatants in the group
+	 */
+	static getHeaderGroup(header) {
+		return [...header.parentElement.querySelectorAll("li.combatant")]
+			.map(el => ui.combat.viewed?.combatants.get(el.dataset.combatantId))
+			.filter(c => c);
+	}
+
+	/** Get the tokens of a group which are on the current scene
+	 * @param {Combatant[]} group - The group
+	 * @returns {Token[]} The tokens
+	 */
+	static getGroupTokens(group) {
+		return group.map(combatant => combatant.token?.object).filter(token => token);
+	}
+
+	/** Control the tokens of a group on the current scene which this user can control, releasing any others
+	 * Nothing is released if this user can't control any of them
+	 * @param {Combatant[]} group - The group
+	 * @returns {boolean} Whether any of the tokens were controlled
+	 */
+	static controlGroup(group) {
+		const tokens = Ctg.getGroupTokens(group).filter(token => token.can(game.user, "control"));
+		if (!tokens.length) return false;
+		canvas.tokens.releaseAll();
+		tokens.forEach(token => token.control({ releaseOthers: false }));
+		return true;
+	}
+
+	/** Pan the canvas to the middle of the tokens of a group which this user can see
+	 * @param {Combatant[]} group - The group
+	 * @returns {Promise<void>|undefined} A promise which resolves once the canvas has been panned
+	 */
+	static panToGroup(group) {
+		const tokens = Ctg.getGroupTokens(group).filter(token => token.isVisible);
+		if (!tokens.length) return;
+		const x = tokens.reduce((total, token) => total + token.center.x, 0) / tokens.length;
+		const y = tokens.reduce((total, token) => total + token.center.y, 0) / tokens.length;
+		return canvas.animatePan({ x, y });
+	}
+
+	/** The outlines around the tokens of each group on the canvas @see {@link drawGroupOutlines}
+	 * @type {PIXI.Graphics|undefined}
+	 */
+	static groupOutlines;
+
+	/** Draw an outline around the tokens of each group of the combat viewed in the Combat Tracker, in the color of the group
+	 * Only the tokens which this user can see are outlined, and nothing is drawn unless the "Group Outlines" setting is enabled
+	 */
+	static drawGroupOutlines() {
+		if (!canvas.ready) return;
+
+		// Add the outlines to the canvas again if it was drawn again since they were added
+		if (!Ctg.groupOutlines || Ctg.groupOutlines.destroyed || Ctg.groupOutlines.parent !== canvas.controls) {
+			Ctg.groupOutlines = canvas.controls.addChild(new PIXI.Graphics());
+		}
+		const outlines = Ctg.groupOutlines.clear();
+
+		const combat = ui.combat?.viewed;
+		const mode = Ctg.getMode(combat);
+		if (
+			!game.settings.get(Ctg.ID, "groupOutlines") ||
+			!combat ||
+			mode === "none" ||
+			(game.settings.get(Ctg.ID, "onlyShowGroupsForGM") && !game.user?.isGM)
+		) {
+			return;
+		}
+
+		const padding = canvas.dimensions.size / 10;
+		Ctg.groups(mode, combat)?.forEach(group => {
+			const tokens = Ctg.getGroupTokens(group).filter(token => token.isVisible);
+			if (group.length < 2 || !tokens.length) return;
+
+			// Outline the corners of the tokens with some space around them
+			const corners = tokens.flatMap(({ x, y, w, h }) => [
+				{ x: x - padding, y: y - padding },
+				{ x: x + w + padding, y: y - padding },
+				{ x: x + w + padding, y: y + h + padding },
+				{ x: x - padding, y: y + h + padding },
+			]);
+			const label = Ctg.getGroupLabel(group, mode, combat);
+			const color = label?.color ? foundry.utils.colorStringToHex(label.color) : 0xffffff;
+			outlines
+				.lineStyle(4, color, 0.8)
+				.beginFill(color, 0.1)
+				.drawPolygon(convexHull(corners).flatMap(({ x, y }) => [x, y]))
+				.endFill();
+		});
+	}
+
+	/** Move a group up or down in the turn order by changing the initiatives of its combatants
+	 * They are given a fractional initiative between the ones of the groups it is moved between, which is the same for all of them
+	 * unless they already had different initiatives, in which case those are spread out between them in the same order
+	 * @param {Combatant[]} group - The group to move
+	 * @param {number} offset - How many places to move it, where negative numbers move it up
+	 * @param {Combat} [combat] - The combat which the group belongs to
+	 * @returns {Promise<boolean>} Whether the group was moved
+	 */
+	static async moveGroup(group, offset, combat = group[0]?.parent) {
+		// Get the groups in the order that they are shown, at the level of this group
+		const isGroup = g => g.length === group.length && g.every(combatant => group.includes(combatant));
+		const units = Ctg.turnGroups(combat, Ctg.groupsAtLevel(0, combat).some(isGroup) ? 0 : 1);
+
+		const index = units.findIndex(unit => unit.includes(group[0]));
+		const target = Math.clamped(index + offset, 0, units.length - 1);
+		if (index === -1 || target === index) return false;
+
+		// Find the initiatives of the groups which it is moved between
+		const members = units[index];
+		const others = units.filter((_, i) => i !== index);
+		const [above, below] = [others[target - 1], others[target]];
+		const initiatives = unit => unit?.map(c => c.initiative).filter(i => Number.isNumeric(i)) ?? [];
+		let top = Math.min(...initiatives(above));
+		let bottom = Math.max(...initiatives(below));
+
+		// Keep combatants with the same initiative together, such as in "Initiative" mode where the group is made of them
+		const values = [...new Set(members.map(c => c.initiative ?? null))];
+		if (!Number.isFinite(top) && !Number.isFinite(bottom)) top = values.length + 1;
+		if (!Number.isFinite(top)) top = bottom + values.length + 1;
+		if (!Number.isFinite(bottom)) bottom = top - values.length - 1;
+
+		// Spread each of the different initiatives of the group evenly between them
+		const step = (top - bottom) / (values.length + 1);
+		const updates = members.map(combatant => ({
+			_id: combatant.id,
+			initiative: Math.round((top - step * (values.indexOf(combatant.initiative ?? null) + 1)) * 10000) / 10000,
+		}));
+
+		// Check that the group would end up in its new place, since the values of the mode might decide the order instead
+		const newInitiatives = new Map(updates.map(({ _id, initiative }) => [_id, initiative]));
+		const order = combat.turns
+			.map(c =>
+				newInitiatives.has(c.id) ? Object.create(c, { initiative: { value: newInitiatives.get(c.id) } }) : c
+			)
+			.sort(Ctg.sortCombatants)
+			.map(c => c.id);
+		const positions = unit => unit?.map(c => order.indexOf(c.id)) ?? [];
+		if (
+			Math.min(...positions(members)) < Math.max(...positions(above)) ||
+			Math.max(...positions(members)) > Math.min(...positions(below))
+		) {
+			ui.notifications.warn(
+				`${game.i18n.localize("ctg.ID")} | ${game.i18n.localize("ctg.notifications.cannotReorder")}`
+			);
+			return false;
+		}
+
+		// Update the initiatives, keeping the current turn without Group Skipping moving it
+		const currentId = combat.combatant?.id;
+		await combat.updateEmbeddedDocuments("Combatant", updates);
+		if (currentId) {
+			await combat.update({ turn: combat.turns.findIndex(t => t.id === currentId) }, { ctgGroupSkipping: false });
+		}
+		return true;
+	}
+
+	/** Policies for which initiative roll is used for a group
+	 * - first: the roll of the first combatant in the group
+	 * - highest: the roll of the combatant with the highest initiative modifier
+	 * - lowest: the roll of the combatant with the lowest initiative modifier
+	 * - average: the dice of the first combatant's roll plus the average of everyone's modifiers
+	 * - leader: the roll of the combatant chosen as the group's leader
+	 * - offset: the dice of the first combatant's roll plus each combatant's own modifier
+	 * @type {string[]}
+	 */
+	static INITIATIVE_POLICIES = ["first", "highest", "lowest", "average", "leader", "offset"];
+
+	/** Get the modifier of a combatant's initiative roll, which is everything other than the dice
+	 * @param {Combatant} combatant
+	 * @returns {number} The initiative modifier
+	 */
+	static getInitiativeModifier(combatant) {
+		const roll = combatant.getInitiativeRoll().evaluate({ minimize: true, async: false });
+		return roll.total - roll.dice.reduce((total, die) => total + die.total, 0);
+	}
+
+	/** Roll initiative for a group of combatants without applying it, and optionally announce it in the chat
+	 * @param {Combatant[]} group - The group to roll for
+	 * @param {object} [options]
+	 * @param {string} [options.policy] - Which roll is used for the group @see {@link INITIATIVE_POLICIES}
+	 * @param {boolean} [options.chatMessage=true] - Whether to create a chat message for the roll
+	 * @param {object} [options.messageData] - Additional data for the chat message
+	 * @returns {Promise<{updates: object[], roll: Roll}>} The initiative updates for the combatants and the roll
+	 */
+	static async rollForGroup(
+		group,
+		{ policy = game.settings.get(Ctg.ID, "initiativePolicy"), chatMessage = true, messageData = {} } = {}
+	) {
+		// Get the modifiers if the policy needs them
+		const modifiers = ["highest", "lowest", "average", "offset"].includes(policy)
+			? new Map(group.map(combatant => [combatant, Ctg.getInitiativeModifier(combatant)]))
+			: null;
+
+		/** The combatant whose roll is used for the group */
+		let roller = group[0];
+		if (policy === "leader") roller = group.find(combatant => combatant.getFlag(Ctg.ID, "leader")) ?? roller;
+		if (["highest", "lowest"].includes(policy)) {
+			const sign = policy === "highest" ? 1 : -1;
+			roller = group.reduce((a, b) => (sign * (modifiers.get(b) - modifiers.get(a)) > 0 ? b : a));
+		}
+
+		let roll = roller.getInitiativeRoll();
+		// Only roll the dice if the modifiers are added afterwards
+		if (["average", "offset"].includes(policy)) {
+			roll = Roll.create(roll.dice.map(die => die.expression).join(" + "));
+		}
+
+		// Roll and announce it in the chat if enabled
+		if (chatMessage) {
+			await roll.toMessage({
+				flavor: `"${Ctg.getGroupName(group)}" group rolls for Initiative!`,
+				...messageData,
+			});
 		} else {
-			// If disabled, sort by the default order
-			return game.combat?._sortCombatants(a, b);
+			await roll.evaluate({ async: true });
+		}
+
+		/** Get the new initiative of a combatant in the group */
+		const getInitiative = combatant => {
+			if (policy === "offset") return roll.total + modifiers.get(combatant);
+			if (policy === "average") {
+				const average = [...modifiers.values()].reduce((a, b) => a + b, 0) / modifiers.size;
+				return roll.total + Math.round(average * 100) / 100;
+			}
+			return roll.total;
+		};
+
+		// Update all of the combatants in this group with their new initiative
+		const updates = group.map(combatant => ({ _id: combatant.id, initiative: getInitiative(combatant) }));
+		return { updates, roll };
+	}
+
+	/** Roll initiative for several groups of a combat at once, summarizing the rolls in a single chat card
+	 * @param {Combatant[][]} groups - The groups to roll for
+	 * @param {Combat} [combat=game.combat] - The combat which the groups belong to
+	 * @param {object} [options]
+	 * @param {("rollAll"|"rollNPC"|"roll")} [options.context="rollAll"] - The type of group initiative roll, which decides the hook that is called for each group
+	 * @param {string[]} [options.ids] - The IDs of the combatants who triggered a "roll"
+	 * @param {string} [options.policy] - Which roll is used for each group @see {@link INITIATIVE_POLICIES}
+	 * @param {boolean} [options.updateTurn=true] - Whether to keep the turn on the current combatant
+	 * @param {object} [options.messageOptions] - Additional data for the chat messages
+	 * @returns {Promise<{updates: object[], roll: Roll}[]>} The results of rolling for each of the groups
+	 */
+	static async rollGroups(
+		groups,
+		combat = game.combat,
+		{
+			context = "rollAll",
+			ids = [],
+			policy = game.settings.get(Ctg.ID, "initiativePolicy"),
+			updateTurn = true,
+			messageOptions = {},
+		} = {}
+	) {
+		// Roll for all of the groups at once
+		const results = await Promise.all(groups.map(group => Ctg.rollForGroup(group, { policy, chatMessage: false })));
+
+		// Update all of the combatants at once, keeping the current turn
+		const currentId = combat.combatant?.id;
+		await combat.updateEmbeddedDocuments(
+			"Combatant",
+			results.flatMap(({ updates }) => updates)
+		);
+		if (updateTurn && currentId) {
+			await combat.update({ turn: combat.turns.findIndex(t => t.id === currentId) }, { ctgGroupSkipping: false });
+		}
+
+		// Create a summary chat card for all of the groups
+		await Ctg.createInitiativeCard(groups, results, messageOptions);
+
+		// Log to console and call hooks
+		const who = context === "rollAll" ? " everyone in" : context === "rollNPC" ? " NPCs in" : "";
+		groups.forEach((group, index) => {
+			Ctg.log(
+				false,
+				game.i18n.format("ctg.rollingGroupInitiative.success", { who, group: Ctg.getGroupName(group) })
+			);
+			// Pass the ID of the combatant who triggered the roll for this group as before, followed by all of the IDs
+			const id = ids.find(id => group.some(combatant => combatant.id === id)) ?? ids[0] ?? "";
+			Hooks.call(`ctg${context.capitalize()}`, results[index].updates, results[index].roll, id, policy, ids);
+		});
+		return results;
+	}
+
+	/** Get the groups whose initiative is re-rolled because of an update to a combat, according to the "Re-roll Group Initiative Each Round" setting
+	 * @param {Combat} combat - The updated combat
+	 * @param {object} change - The changes which were made to the combat
+	 * @returns {Combatant[][]} The groups to re-roll, which is empty unless a new round started
+	 */
+	static getRerollGroups(combat, change) {
+		const reroll = game.settings.get(Ctg.ID, "rerollGroupInitiative");
+		if (
+			!Ctg.responsibleGM ||
+			reroll === "none" ||
+			Ctg.getMode(combat) === "none" ||
+			!(change.round > (combat.previous?.round ?? 0))
+		) {
+			return [];
 		}
+
+		// Every group, or only the groups which are all NPCs
+		return Ctg.groupsAtLevel(undefined, combat).filter(
+			group => reroll === "all" || group.every(combatant => combatant.isNPC)
+		);
+	}
+
+	/** Create a single chat card summarizing the group initiative rolls for several groups
+	 * Groups whose combatants are all hidden are rolled privately to the GM in a separate card
+	 * @param {Combatant[][]} groups - The groups which were rolled for
+	 * @param {{updates: object[], roll: Roll}[]} results - The results of rolling for each of the groups
+	 * @param {object} [messageOptions] - Additional data for the chat messages
+	 * @returns {Promise<ChatMessage[]>} The created chat messages
+	 */
+	static async createInitiativeCard(groups, results, messageOptions = {}) {
+		const rollMode = messageOptions.rollMode ?? game.settings.get("core", "rollMode");
+
+		// Split the groups into the ones that everyone can see and the hidden ones
+		const cards = { [rollMode]: [], gmroll: [] };
+		groups.forEach((group, index) => {
+			const { updates, roll } = results[index];
+			cards[group.every(combatant => combatant.hidden) ? "gmroll" : rollMode].push({
+				name: Ctg.getGroupName(group),
+				total: roll.total,
+				formula: roll.formula,
+				members: group.map(combatant => ({
+					name: combatant.name,
+					initiative: updates.find(u => u._id === combatant.id)?.initiative,
+				})),
+			});
+		});
+
+		return Promise.all(
+			Object.entries(cards)
+				.filter(([, cardGroups]) => cardGroups.length)
+				.map(async ([mode, cardGroups]) => {
+					const messageData = mergeObject(
+						{
+							speaker: { alias: game.i18n.localize("ctg.ID") },
+							flavor: game.i18n.localize("ctg.rollingGroupInitiative.flavor"),
+							content: await renderTemplate(`modules/${Ctg.ID}/templates/initiativeCard.hbs`, {
+								groups: cardGroups,
+							}),
+							sound: CONFIG.sounds.dice,
+						},
+						messageOptions
+					);
+					delete messageData.rollMode;
+					ChatMessage.applyRollMode(messageData, mode);
+					return ChatMessage.create(messageData);
+				})
+		);
 	}
 
 	/** Manage available modes and switch away from invalid ones
@@ -306,17 +1016,22 @@ export default class Ctg {
 		let modes = Ctg.MODES;
 
 		// Reset to default
-		if (reset) modes = game.settings.settings.get(`${Ctg.ID}.modes`).default;
+		if (reset) modes = deepClone(game.settings.settings.get(`${Ctg.ID}.modes`).default);
 
 		// Add integrations
-		if (game.modules.get("mob-attack-tool")?.active && !modes.find(m => m[0] === "mob")) modes.push(["mob", ""]);
-		if (game.modules.get("lancer-initiative")?.active && !modes.find(m => m[0] === "lancer")) {
-			modes.push(["lancer", "activations.value"]);
+		if (game.modules.get("mob-attack-tool")?.active && !modes.find(m => m.id === "mob")) {
+			modes.push(createMode({ id: "mob", paths: [] }));
 		}
-		if (game.modules.get("scs")?.active) modes.findSplice(m => m[0] === "initiative");
+		if (game.modules.get("lancer-initiative")?.active && !modes.find(m => m.id === "lancer")) {
+			modes.push(createMode({ id: "lancer", paths: ["activations.value"] }));
+		}
+		if (game.modules.get("scs")?.active) modes.findSplice(m => m.id === "initiative");
 
 		// Change mode if saved one no longer exists
-		if (!modes.find(m => m[0] === game.settings.get(Ctg.ID, "mode"))) game.settings?.set(Ctg.ID, "mode", "none");
+		if (!modes.find(m => m.id === game.settings.get(Ctg.ID, "mode"))) game.settings?.set(Ctg.ID, "mode", "none");
+		if (!modes.find(m => m.id === game.settings.get(Ctg.ID, "subMode"))) {
+			game.settings?.set(Ctg.ID, "subMode", "none");
+		}
 
 		// Update modes
 		await Ctg.setMODES(modes);
@@ -325,8 +1040,9 @@ export default class Ctg {
 	/** Create Combat Tracker modes
 	 * @param {HTMLElement} html - The Combat Tracker's HTML
 	 * @param {boolean} popOut - Whether this Combat Tracker is popped out
+	 * @param {Combat} combat - The combat which this Combat Tracker is viewing
 	 */
-	createModes(html, popOut) {
+	createModes(html, popOut, combat) {
 		/** Suffix for pop out */
 		const popOutSuffix = popOut ? "-popOut" : "";
 
@@ -344,16 +1060,19 @@ export default class Ctg {
 
 			// Create a radio button
 			const radio = document.createElement("input");
-			radio.id = `ctg-mode-radio-${mode[0]}${popOutSuffix}`;
+			radio.id = `ctg-mode-radio-${mode.id}${popOutSuffix}`;
 			radio.type = "radio";
 			radio.name = `ctg-mode-radio${popOutSuffix}`;
 
 			// Create a label for the radio button
 			const label = document.createElement("label");
 			label.id = "ctg-modeLabel";
-			label.htmlFor = `ctg-mode-radio-${mode[0]}${popOutSuffix}`;
-			label.title = game.i18n.format("ctg.titles.groupBy", { mode: mode[0].capitalize() });
-			label.innerText = mode[0].capitalize();
+			label.htmlFor = `ctg-mode-radio-${mode.id}${popOutSuffix}`;
+			label.title = [
+				game.i18n.format("ctg.titles.groupBy", { mode: mode.label }),
+				game.i18n.localize("ctg.titles.nestBy"),
+			].join("\n");
+			label.innerText = mode.label;
 
 			// Add the label and the radio button to the box
 			modeBox.append(radio);
@@ -363,15 +1082,24 @@ export default class Ctg {
 		// Update mode on click
 		container.addEventListener("click", ({ target }) => {
 			const mode = target?.id?.replace("ctg-mode-radio-", "").replace("-popOut", "");
-			if (Ctg.MODES.map(m => m[0]).includes(mode)) game.settings.set(Ctg.ID, "mode", mode);
+			if (Ctg.MODES.map(m => m.id).includes(mode)) Ctg.setMode(mode, combat);
+		});
+
+		// Update secondary mode on right click
+		container.addEventListener("contextmenu", ({ target }) => {
+			const mode = target?.htmlFor?.replace("ctg-mode-radio-", "").replace("-popOut", "");
+			if (!Ctg.MODES.map(m => m.id).includes(mode) || mode === Ctg.getMode(combat)) return;
+			// Unset the secondary mode if it's already selected
+			Ctg.setSubMode(mode === Ctg.getSubMode(combat) ? "none" : mode, combat);
 		});
 	}
 
 	/** Manage and create Combat Tracker groups
 	 * @param {string} mode - The mode that is currently enabled @see {@link modes}
 	 * @param {boolean} popOut - Whether this Combat Tracker is popped out
+	 * @param {Combat} [combat=game.combat] - The combat which this Combat Tracker is viewing
 	 */
-	manageGroups(mode, popOut) {
+	manageGroups(mode, popOut, combat = game.combat) {
 		// If trying to use the pop out, check if one actually exists first
 		if (popOut && !document.querySelector("#combat-popout")) return;
 
@@ -392,160 +1120,266 @@ export default class Ctg {
 			html?.querySelectorAll(`#ctg-mode-radio-${mode},#ctg-mode-radio-${mode}${popOutSuffix}`).forEach(
 				el => (el.checked = true)
 			);
+
+			// Show current secondary mode
+			const subMode = Ctg.getSubMode(combat);
+			html?.querySelectorAll(
+				`[for="ctg-mode-radio-${subMode}"],[for="ctg-mode-radio-${subMode}${popOutSuffix}"]`
+			).forEach(el => el.classList.add("ctg-subMode"));
 		}
 
 		// Don't group if mode is None or if onlyShowGroupsForGM is enabled and this is not a GM
 		if (!(mode === "none" || (game.settings.get(Ctg.ID, "onlyShowGroupsForGM") && !game.user?.isGM))) {
-			// Get groups
-			const groups = Ctg.groups(mode);
-			// Call group update hook
-			Hooks.call("ctgGroupUpdate", groups, mode, popOut);
-
-			// Go through each of the groups
-			groups?.forEach((group, index) => {
-				/** Toggle element */
-				const toggle = document.createElement("details");
-				toggle.classList.add("ctg-toggle", "folder");
-
-				/** A subdirectory in the toggle which contains Combatants */
-				const subdirectory = document.createElement("ol");
-				subdirectory.classList.add("subdirectory");
-				toggle.append(subdirectory);
-
-				// Go through each of the combatants
-				group.forEach((combatant, i, arr) => {
-					/** The DOM element of this combatant */
-					const element = html.querySelector(`[data-combatant-id="${combatant.id}"]`);
-
-					// If it's the last entry
-					if (i === arr.length - 1) {
-						// Add the toggle to the end
-						html.querySelector("#combat-tracker").append(group.length > 1 ? toggle : element);
-
-						// Create a label for the toggle
-						const labelBox = document.createElement("summary");
-						labelBox.classList.add("ctg-labelBox", "folder-header");
+			// Warn about the modes which can't be used
+			const subMode = Ctg.getSubMode(combat);
+			[mode, subMode].forEach(m => {
+				const error = m !== "none" && Ctg.getModeError(m);
+				if (error) ui.notifications.warn(`${game.i18n.localize("ctg.ID")} | ${error}`);
+			});
 
-						const labelFlex = document.createElement("div");
-						labelFlex.classList.add("ctg-labelFlex");
+			// Get groups
+			const groups = Ctg.groups(mode, combat);
 
-						const labelName = document.createElement("h3");
-						labelName.classList.add("ctg-labelName", "noborder");
+			// Keep the turn order in the same order as the groups
+			combat?.turns.sort(Ctg.sortCombatants);
+			// Call group update hook
+			Hooks.call(
+				"ctgGroupUpdate",
+				groups,
+				mode,
+				popOut,
+				combat,
+				groups?.map(group => Ctg.getGroupLabel(group, mode, combat))
+			);
 
-						const labelCount = document.createElement("div");
-						labelCount.classList.add("ctg-labelCount");
+			// Create the toggles for the groups, nesting them by the secondary mode if there is one
+			const modes = [mode, subMode].filter((m, i, arr) => m !== "none" && arr.indexOf(m) === i);
+			this.createGroups(html, html.querySelector("#combat-tracker"), groups, modes, combat);
+
+			// Get the current toggles from the innermost to the outermost
+			const currentToggles = [];
+			let currentToggle = html
+				.querySelector(`[data-combatant-id="${combat?.combatant?.id}"]`)
+				?.closest("details.ctg-toggle");
+			while (currentToggle) {
+				currentToggles.push(currentToggle);
+				currentToggle = currentToggle.parentElement.closest("details.ctg-toggle");
+			}
+			// For each level that the current combatant could be found in the DOM
+			currentToggles.forEach(toggle => {
+				// Open the toggle for the current combatant if enabled
+				if (game.settings.get(Ctg.ID, "openToggles")) toggle.open = true;
+				toggle.classList.add("active");
+				Ctg.log(false, toggle, combat?.combatant?.id);
+			});
 
-						const labelValue = document.createElement("div");
-						labelValue.classList.add("ctg-labelValue");
+			// Resize popout window
+			resizePopout();
+		}
+	}
 
-						// Add the group name to the label
-						labelName.innerText = getDisplayName(group);
+	/** Create the Combat Tracker toggles for a level of groups
+	 * @param {HTMLElement} html - The current parent html element
+	 * @param {HTMLElement} parent - The element which the groups are added to
+	 * @param {Combatant[][]} groups - The groups at this level
+	 * @param {string[]} modes - The modes for this and each of the deeper levels
+	 * @param {Combat} combat - The combat which the groups belong to
+	 */
+	createGroups(html, parent, groups, [mode, ...subModes], combat) {
+		// Get the definition of the mode at this level
+		const definition = Ctg.MODES.find(m => m.id === mode);
+
+		// Go through each of the groups
+		groups?.forEach(group => {
+			/** Toggle element */
+			const toggle = document.createElement("details");
+			toggle.classList.add("ctg-toggle", "folder");
+			toggle.dataset.ctgMode = mode;
+
+			/** A subdirectory in the toggle which contains Combatants */
+			const subdirectory = document.createElement("ol");
+			subdirectory.classList.add("subdirectory");
+			toggle.append(subdirectory);
+
+			// Go through each of the combatants
+			group.forEach((combatant, i, arr) => {
+				/** The DOM element of this combatant */
+				const element = html.querySelector(`[data-combatant-id="${combatant.id}"]`);
+
+				// If it's the last entry
+				if (i === arr.length - 1) {
+					// Add the toggle to the end, or mark the combatant as being alone in this mode if there is no toggle
+					parent.append(group.length > 1 ? toggle : element);
+					if (group.length === 1) element.dataset.ctgMode = mode;
+
+					// Create a label for the toggle
+					const labelBox = document.createElement("summary");
+					labelBox.classList.add("ctg-labelBox", "folder-header");
+
+					const labelFlex = document.createElement("div");
+					labelFlex.classList.add("ctg-labelFlex");
+
+					const labelName = document.createElement("h3");
+					labelName.classList.add("ctg-labelName", "noborder");
+
+					const labelCount = document.createElement("div");
+					labelCount.classList.add("ctg-labelCount");
+
+					// Add the group name to the label, using the custom label if there is one
+					const label = Ctg.getGroupLabel(group, mode, combat);
+					labelName.innerText = label?.name || getDisplayName(group);
+					if (label?.icon) {
+						const icon = document.createElement("i");
+						icon.className = label.icon;
+						labelName.prepend(icon, " ");
+					}
+					if (label?.color) {
+						toggle.classList.add("ctg-colored");
+						toggle.style.setProperty("--ctg-group-color", label.color);
+					}
 
-						// Get the value of this mode on the combatant
-						const value = recursiveGetPropertyConcat(
-							combatant,
-							Ctg.MODES.find(m => m[0] === mode).slice(-1)[0]
-						);
-						if (
-							value && // must exist
-							value !== true && // must not be literally `true`
-							!String(value).match(/[A-Za-z0-9]{16}/) && // must not be an ID
-							!["name", "initiative"].includes(mode) // must not be in "Name" or "Initiative" mode
-						) {
-							// Add the value to the label
+					// Create a label for each of the values of this mode's paths on the combatant
+					const labelValues = getModeValues(combatant, definition)
+						.filter(
+							value =>
+								isGroupable(value) && // must exist
+								value !== true && // must not be literally `true`
+								!String(value).match(/[A-Za-z0-9]{16}/) && // must not be an ID
+								!["name", "initiative"].includes(mode) // must not be in "Name" or "Initiative" mode
+						)
+						.map(value => {
+							const labelValue = document.createElement("div");
+							labelValue.classList.add("ctg-labelValue");
 							labelValue.innerText = value;
-						}
-
-						// Add the count to the label
-						labelCount.innerText = arr.length;
-
-						// Insert the label box
-						toggle.prepend(labelBox);
-						// Insert the label flex into the label box
-						labelBox.prepend(labelFlex);
-						// Insert the name into the label flex
-						labelFlex.prepend(labelName);
-						// Insert the count into the label flex
-						labelFlex.append(labelCount);
-						// If there is a value label
-						if (labelValue.innerText) {
-							// If there is a toggle, insert the value into the label flex
-							if (group.length > 1) labelFlex.append(labelValue);
-							// If there is no toggle, add the value to the element itself
-							else element.querySelector(".token-name").after(labelValue);
-						}
+							return labelValue;
+						});
+
+					// Add the count to the label
+					labelCount.innerText = arr.length;
+
+					// Insert the label box
+					toggle.prepend(labelBox);
+					// Insert the label flex into the label box
+					labelBox.prepend(labelFlex);
+					// Insert the name into the label flex
+					labelFlex.prepend(labelName);
+					// Insert the count into the label flex
+					labelFlex.append(labelCount);
+					// If there are value labels
+					if (labelValues.length) {
+						// If there is a toggle, insert the values into the label flex
+						if (group.length > 1) labelFlex.append(...labelValues);
+						// If there is no toggle, add the values to the element itself
+						else element.querySelector(".token-name").after(...labelValues);
+					}
 
-						if (game.modules.get("mob-attack-tool")?.active) {
-							/* global MobAttacks */
-
-							// Create a button and it to the label flex
-							const saveMob = document.createElement("div");
-							saveMob.classList.add("ctg-saveMob");
-							saveMob.innerHTML = "<i class='fas fa-save'></i>";
-							saveMob.title = game.i18n.localize("ctg.titles.saveAsMob");
-							labelFlex.append(saveMob);
-
-							// Create a mob when the button is clicked
-							/*
-							FIXME: ask Lupusmalus for new parameter to not delete existing mobs, then use this instead:
-							saveMob.addEventListener("click", () => MobAttacks.createSavedMobsFromCTGgroups([Ctg.groups(mode)[index]]));
-							*/
-							saveMob.addEventListener("click", event => {
-								event.preventDefault();
-								const actorList = [],
-									numSelected = 1,
-									selectedTokenIds = [];
-								const mobName = `${game.settings.get("mob-attack-tool", "defaultMobPrefix")} ${
-									Ctg.groups(mode)[index]?.[0]?.name
-								}${game.settings.get("mob-attack-tool", "defaultMobSuffix")}`;
-								for (const combatant of Ctg.groups(mode)[index]) {
-									actorList.push(combatant?.actor);
-									selectedTokenIds.push(combatant.data?.tokenId);
-								}
-								MobAttacks.saveMob(mobName, actorList, selectedTokenIds, numSelected, Ctg.ID);
-							});
-						}
+					// Allow the GM or permitted players to edit the label of the group
+					if (Socket.can(game.user, "label", group)) {
+						const editLabel = document.createElement("div");
+						editLabel.classList.add("ctg-editLabel");
+						editLabel.innerHTML = "<i class='fas fa-pen'></i>";
+						editLabel.title = game.i18n.localize("ctg.groupLabel.edit");
+						labelFlex.append(editLabel);
+						editLabel.addEventListener("click", event => {
+							event.preventDefault();
+							Ctg.editGroupLabel(group, mode, combat);
+						});
+					}
 
-						// Whenever toggled, resize the popout combat tracker window
-						toggle.addEventListener("toggle", resizePopout);
+					if (game.modules.get("mob-attack-tool")?.active) {
+						/* global MobAttacks */
+
+						// Create a button and it to the label flex
+						const saveMob = document.createElement("div");
+						saveMob.classList.add("ctg-saveMob");
+						saveMob.innerHTML = "<i class='fas fa-save'></i>";
+						saveMob.title = game.i18n.localize("ctg.titles.saveAsMob");
+						labelFlex.append(saveMob);
+
+						// Create a mob when the button is clicked
+						/*
+						FIXME: ask Lupusmalus for new parameter to not delete existing mobs, then use this instead:
+						saveMob.addEventListener("click", () => MobAttacks.createSavedMobsFromCTGgroups([group]));
+						*/
+						saveMob.addEventListener("click", event => {
+							event.preventDefault();
+							const actorList = [],
+								numSelected = 1,
+								selectedTokenIds = [];
+							const mobName = `${game.settings.get("mob-attack-tool", "defaultMobPrefix")} ${
+								group[0]?.name
+							}${game.settings.get("mob-attack-tool", "defaultMobSuffix")}`;
+							for (const combatant of group) {
+								actorList.push(combatant?.actor);
+								selectedTokenIds.push(combatant.data?.tokenId);
+							}
+							MobAttacks.saveMob(mobName, actorList, selectedTokenIds, numSelected, Ctg.ID);
+						});
 					}
 
-					// Move the element into the subdirectory if there is one
-					if (group.length > 1) subdirectory.append(element);
-				});
+					// Whenever toggled, resize the popout combat tracker window
+					toggle.addEventListener("toggle", resizePopout);
+				}
+
+				// Move the element into the subdirectory if there is one
+				if (group.length > 1) subdirectory.append(element);
 			});
 
-			// Get the current toggle
-			const currentToggle = html
-				.querySelector(`[data-combatant-id="${game.combat.combatant?.id}"]`)
-				?.closest("details");
-			// If a the combatant could be found in the DOM
-			if (currentToggle && currentToggle.querySelector(".ctg-labelBox")) {
-				// Open the toggle for the current combatant if enabled
-				if (game.settings.get(Ctg.ID, "openToggles")) currentToggle.open = true;
-				currentToggle.classList.add("active");
-				Ctg.log(false, currentToggle, game.combat.combatant?.id);
+			// Nest groups within this toggle by the next mode if there is one
+			if (group.length > 1 && subModes.length) {
+				this.createGroups(html, subdirectory, Ctg.groups(subModes[0], combat, group), subModes, combat);
 			}
+		});
+	}
 
-			// Resize popout window
-			resizePopout();
-		}
+	/** Manage clearing the cache of groups whenever anything which they depend on changes */
+	groupCaching() {
+		const clear = () => Ctg.groupCache.clear();
+
+		// Combatants, their tokens and actors, and settings such as the modes
+		[
+			"createCombatant",
+			"updateCombatant",
+			"deleteCombatant",
+			"createToken",
+			"updateToken",
+			"deleteToken",
+			"updateActor",
+			"createActiveEffect",
+			"updateActiveEffect",
+			"deleteActiveEffect",
+			"createSetting",
+			"updateSetting",
+			"updateUser",
+			"deleteCombat",
+			"canvasReady",
+		].forEach(hook => Hooks.on(hook, clear));
+
+		// Combats, unless only the turn or round changed
+		Hooks.on("updateCombat", (combat, change) => {
+			if (Object.keys(change).some(key => !["_id", "turn", "round"].includes(key))) clear();
+		});
 	}
 
 	/** Manage skipping over groups */
 	groupSkipping() {
 		// Hook into the combat update to manage skipping
-		Hooks.on("preUpdateCombat", async (document, change) => {
-			// Get the groups
-			const groups = Ctg.groups(game.settings.get(Ctg.ID, "mode"));
-
+		Hooks.on("preUpdateCombat", async (document, change, options) => {
 			if (
-				game.user?.isGM && // If the user is a GM
-				change.turn != null && // If there was a change of turn
-				game.settings.get(Ctg.ID, "groupSkipping") && // If the user has the setting enabled
-				game.settings.get(Ctg.ID, "mode") !== "none" && // If the mode is not "none"
-				groups.length > 1 // If there is more than one group
+				!game.user?.isGM || // If the user isn't a GM
+				change.turn == null || // If there wasn't a change of turn
+				options.ctgGroupSkipping === false || // If skipping was disabled for this update
+				!game.settings.get(Ctg.ID, "groupSkipping") || // If the user has the setting disabled
+				Ctg.getMode(document) === "none" // If the mode is "none"
 			) {
+				return;
+			}
+
+			// Get the groups at the chosen level
+			const groups = Ctg.groupsAtLevel(undefined, document);
+
+			// If there is more than one group
+			if (groups.length > 1) {
 				// Get the direction of the turn change which is different if the round has also changed
 				const direction = change.round
 					? change.round > document.current.round
@@ -579,6 +1413,54 @@ export default class Ctg {
 		});
 	}
 
+	/** Manage the start and end of each group's turn */
+	groupTurns() {
+		Hooks.on("updateCombat", (combat, change, options, userId) => {
+			if (!("turn" in change || "round" in change) || Ctg.getMode(combat) === "none") return;
+
+			// Get the groups of the previous and the current combatant, treating ungrouped combatants as their own group
+			const groups = Ctg.groupsAtLevel(undefined, combat);
+			const getGroup = combatant =>
+				combatant ? groups.find(group => group.includes(combatant)) ?? [combatant] : null;
+			const previous = options.ctgRerolled ? null : getGroup(combat.combatants.get(combat.previous?.combatantId));
+			const current = getGroup(combat.combatant);
+
+			// Only continue if it's a different group's turn, a new round, or the new round after re-rolling initiative
+			const sameGroup = previous && current && previous.some(combatant => current.includes(combatant));
+			if (sameGroup && change.round === undefined) return;
+
+			const mode = Ctg.getMode(combat);
+			if (previous) Hooks.callAll("ctgGroupTurnEnd", previous, mode, combat.previous.round, combat);
+
+			// If initiative is re-rolled for the new round, its first group's turn only starts once the groups are sorted again
+			if (!current || Ctg.getRerollGroups(combat, change).length) return;
+			Hooks.callAll("ctgGroupTurnStart", current, mode, combat.round, combat);
+
+			// Announce the group in the chat, only once by the user who changed the turn
+			if (userId === game.user.id && game.settings.get(Ctg.ID, "announceGroupTurns")) {
+				const hidden = current.every(combatant => combatant.hidden);
+				ChatMessage.create({
+					speaker: { alias: game.i18n.localize("ctg.ID") },
+					content: game.i18n.format(
+						current.length > 1 ? "ctg.groupTurn.announcement" : "ctg.groupTurn.announcementSingle",
+						{ group: Ctg.getGroupName(current, mode, combat) }
+					),
+					whisper: hidden ? ChatMessage.getWhisperRecipients("GM") : [],
+				});
+			}
+
+			// Ping the middle of the group's tokens which this user can see, only on this client so that it isn't broadcast
+			if (game.settings.get(Ctg.ID, "pingGroupTurns") && canvas.controls?.drawPing) {
+				const tokens = current.map(combatant => combatant.token?.object).filter(token => token?.visible);
+				if (!tokens.length) return;
+				canvas.controls.drawPing({
+					x: tokens.reduce((total, token) => total + token.center.x, 0) / tokens.length,
+					y: tokens.reduce((total, token) => total + token.center.y, 0) / tokens.length,
+				});
+			}
+		});
+	}
+
 	/** Manage rolling for group initiative for all of the combatants in the group  */
 	rollGroupInitiative() {
 		// Verify libWrapper is enabled
@@ -594,88 +1476,75 @@ export default class Ctg {
 		/* global libWrapper */
 
 		// Check whether group initiative should be rolled
-		const isRollForGroupInitiative = () =>
+		const isRollForGroupInitiative = combat =>
 			// Don't roll in "none" mode
-			game.settings.get(Ctg.ID, "mode") !== "none" &&
+			Ctg.getMode(combat) !== "none" &&
 			// Allow always rolling group initiative
 			(game.settings.get(Ctg.ID, "alwaysRollGroupInitiative") ||
 				// By default, only roll if the keybinding is being held down
 				Ctg.groupInitiativeKeybind);
 
 		// Wrap initiative rolling methods
-		libWrapper.register(Ctg.ID, "Combat.prototype.rollAll", groupInitiativeWrapper.bind(null, "rollAll"), "MIXED");
-		libWrapper.register(Ctg.ID, "Combat.prototype.rollNPC", groupInitiativeWrapper.bind(null, "rollNPC"), "MIXED");
-		libWrapper.register(
-			Ctg.ID,
-			"Combat.prototype.rollInitiative",
-			groupInitiativeWrapper.bind(null, "roll"),
-			"MIXED"
-		);
+		for (const [method, context] of Object.entries({
+			rollAll: "rollAll",
+			rollNPC: "rollNPC",
+			rollInitiative: "roll",
+		})) {
+			libWrapper.register(
+				Ctg.ID,
+				`Combat.prototype.${method}`,
+				function (wrapped, ...args) {
+					return groupInitiativeWrapper.call(this, context, wrapped, ...args);
+				},
+				"MIXED"
+			);
+		}
 
-		/** Wrapper for group initiative
+		/** Wrapper for group initiative, called with the Combat as `this`
 		 * @param {string} context - The type of group initiative roll being made
 		 * @param {Function} wrapped - The wrapped function
-		 * @param {string[]} [ids=[""]] - An array containing the Combatant IDs passed to `rollInitiative`
+		 * @param {...*} args - The arguments passed to the wrapped function: `(ids, options)` for `rollInitiative` or `(options)` otherwise
 		 */
-		function groupInitiativeWrapper(context, wrapped, ids = [""]) {
-			// Check if this is a roll for Group Initiative
-			if (isRollForGroupInitiative()) {
-				// Loop through the IDs in case there are multiple (should be unusual)
-				ids.forEach(id => {
-					// Go through all of the groups and count failures
-					const failures = Ctg.groups(game.settings.get(Ctg.ID, "mode")).filter(async (group, index) => {
-						// What happens depends on the context of this roll:
-						if (
-							context === "rollAll" || // Roll for every group
-							(context === "rollNPC" && group.every(combatant => combatant.isNPC)) || // Roll only for groups which are all NPCs
-							(context === "roll" && group.some(combatant => combatant.id === id)) // Roll for groups which contain the current combatant
-						) {
-							// Roll initiative for the first combatant in the group
-							const message = await group[0].getInitiativeRoll().toMessage({
-								flavor: `"${getDisplayName(group)}" group rolls for Initiative!`, // Announce to chat
-								sound: index === 0 ? CONFIG.sounds.dice : null, // Only play a sound for the first group
-							});
-
-							// Update all of the combatants in this group with that roll total as their new initiative
-							const updates = [];
-							group.forEach(combatant =>
-								updates.push({
-									_id: combatant.id,
-									initiative: message.roll.total,
-								})
-							);
-
-							// Update the combatants
-							await game.combat?.updateEmbeddedDocuments("Combatant", updates);
-
-							// Log to console and call hook
-							const who =
-								context === "rollAll" ? " everyone in" : context === "rollNPC" ? " NPCs in" : "";
-							Ctg.log(
-								false,
-								game.i18n.format("ctg.rollingGroupInitiative.success", {
-									who,
-									group: getDisplayName(group),
-								})
-							);
-							Hooks.call(`ctg${context.capitalize()}`, updates, message.roll, id);
-							return false;
-						} else {
-							Ctg.log(
-								false,
-								game.i18n.format("ctg.rollingGroupInitiative.failure", { group: getDisplayName(group) })
-							);
-							return true;
-						}
-					});
+		async function groupInitiativeWrapper(context, wrapped, ...args) {
+			/** The combat which is being rolled for */
+			const combat = this;
+
+			/** The options passed to the wrapped function */
+			const options = (context === "roll" ? args[1] : args[0]) ?? {};
+
+			// Check if this is a roll for Group Initiative, and not the roll for the combatants who aren't in any of the groups
+			// That roll is marked with an option, which "Roll All" and "Roll NPCs" pass on to `rollInitiative`
+			if (options.ctgFallback || !isRollForGroupInitiative(combat)) return wrapped(...args);
+
+			/** The IDs of the Combatants passed to `rollInitiative` */
+			const ids = context === "roll" ? [args[0]].flat() : [];
+			const { updateTurn = true, messageOptions = {} } = options;
+
+			// What happens depends on the context of this roll:
+			const groups = Ctg.groupsAtLevel(undefined, combat).filter(group => {
+				const shouldRoll =
+					context === "rollAll" || // Roll for every group
+					(context === "rollNPC" && group.every(combatant => combatant.isNPC)) || // Roll only for groups which are all NPCs
+					(context === "roll" && group.some(combatant => ids.includes(combatant.id))); // Roll for groups which contain the current combatants
+				if (!shouldRoll) {
+					Ctg.log(
+						false,
+						game.i18n.format("ctg.rollingGroupInitiative.failure", { group: Ctg.getGroupName(group) })
+					);
+				}
+				return shouldRoll;
+			});
 
-					if (failures.length > 0) {
-						wrapped(ids);
-					}
-				});
+			await Ctg.rollGroups(groups, combat, { context, ids, updateTurn, messageOptions });
+
+			// Roll normally for everyone who wasn't in a group
+			if (context === "roll") {
+				const remaining = ids.filter(id => !groups.some(group => group.some(c => c.id === id)));
+				if (remaining.length) await wrapped(remaining, { ...options, ctgFallback: true });
 			} else {
-				wrapped(ids);
+				await wrapped({ ...options, ctgFallback: true });
 			}
+			return combat;
 		}
 
 		// Disable MAT group initiative
@@ -693,12 +1562,470 @@ export default class Ctg {
 		}
 	}
 
+	/** Manage re-rolling group initiative whenever a new round starts */
+	groupReroll() {
+		Hooks.on("updateCombat", async (combat, change) => {
+			if (game.user !== Ctg.responsibleGM) return;
+			const groups = Ctg.getRerollGroups(combat, change);
+			if (!groups.length) return;
+
+			try {
+				await Ctg.rollGroups(groups, combat, {
+					context: game.settings.get(Ctg.ID, "rerollGroupInitiative") === "npc" ? "rollNPC" : "rollAll",
+					updateTurn: false,
+				});
+			} finally {
+				// Start the round again from the top group of the new order, which starts the turn of that group
+				await combat.update({ turn: 0 }, { diff: false, ctgGroupSkipping: false, ctgRerolled: true });
+			}
+		});
+	}
+
+	/** Manage choosing the leader of each group, whose roll is used for group initiative with the "leader" policy */
+	groupLeader() {
+		// Add an option to the combatant context menu
+		Hooks.on("getCombatTrackerEntryContext", (html, options) => {
+			options.push({
+				name: "ctg.contextMenu.setLeader",
+				icon: '<i class="fas fa-crown"></i>',
+				condition: () => game.user?.isGM && game.settings.get(Ctg.ID, "initiativePolicy") === "leader",
+				callback: li => {
+					const combatant = ui.combat.viewed?.combatants.get(li.data("combatant-id"));
+					if (!combatant) return;
+
+					// Unset the flag for everyone else in the group
+					const groups = Ctg.groupsAtLevel(undefined, ui.combat.viewed);
+					const group = groups.find(g => g.includes(combatant)) ?? [combatant];
+					ui.combat.viewed.updateEmbeddedDocuments(
+						"Combatant",
+						group.map(c => ({ _id: c.id, [`flags.${Ctg.ID}.leader`]: c === combatant }))
+					);
+				},
+			});
+		});
+
+		// Mark the leaders in the Combat Tracker
+		Hooks.on("renderCombatTracker", (app, [html], data) => {
+			if (game.settings.get(Ctg.ID, "initiativePolicy") !== "leader") return;
+			data.combat?.combatants
+				.filter(combatant => combatant.getFlag(Ctg.ID, "leader"))
+				.forEach(combatant =>
+					html.querySelector(`[data-combatant-id="${combatant.id}"]`)?.classList.add("ctg-leader")
+				);
+		});
+	}
+
+	/** Manage the context menu of the group headers in the Combat Tracker */
+	groupContextMenu() {
+		/** Toggle a status effect on the token of a combatant, even if it isn't on the current scene
+		 * @param {Combatant} combatant - The combatant
+		 * @param {object} effect - The status effect
+		 * @param {object} options - Options for toggling the effect
+		 */
+		const toggleEffect = async (combatant, effect, options) => {
+			if (combatant.token?.object) await combatant.token.object.toggleEffect(effect, options);
+			else await combatant.token?.toggleActiveEffect(effect, options);
+		};
+
+		/** Create the callback of an action which is run on a whole group and then calls a hook
+		 * @param {string} name - The name of the action
+		 * @param {function(Combatant[], Combat): Promise<*>} fn - The action
+		 * @returns {function(jQuery): Promise<void>} The callback for the context menu
+		 */
+		const action = (name, fn) => async header => {
+			const combat = ui.combat.viewed;
+			const group = Ctg.getHeaderGroup(header[0]);
+			if (!combat || !group.length) return;
+			await fn(group, combat);
+			Hooks.call("ctgGroupAction", name, group, combat);
+		};
+
+		const isGM = () => game.user?.isGM;
+
+		Hooks.on("renderCombatTracker", (app, [html], data) => {
+			if (!data.combat) return;
+
+			/** The context menu options for a group */
+			const options = [
+				{
+					name: "ctg.groupContext.toggleHidden",
+					icon: '<i class="fas fa-eye-slash"></i>',
+					condition: isGM,
+					callback: action("toggleHidden", (group, combat) => {
+						const hidden = !group.every(c => c.hidden);
+						return combat.updateEmbeddedDocuments(
+							"Combatant",
+							group.map(c => ({ _id: c.id, hidden }))
+						);
+					}),
+				},
+				{
+					name: "ctg.groupContext.toggleDefeated",
+					icon: '<i class="fas fa-skull"></i>',
+					condition: isGM,
+					callback: action("toggleDefeated", async (group, combat) => {
+						const defeated = !group.every(c => c.isDefeated);
+						await combat.updateEmbeddedDocuments(
+							"Combatant",
+							group.map(c => ({ _id: c.id, defeated }))
+						);
+
+						// Toggle the defeated status effect on the tokens like the core Combat Tracker does
+						const status = CONFIG.statusEffects.find(e => e.id === CONFIG.Combat.defeatedStatusId);
+						for (const combatant of group) {
+							const effect = combatant.actor && status ? status : CONFIG.controlIcons.defeated;
+							await toggleEffect(combatant, effect, { overlay: true, active: defeated });
+						}
+					}),
+				},
+				{
+					name: "ctg.groupContext.applyEffect",
+					icon: '<i class="fas fa-bolt"></i>',
+					condition: isGM,
+					callback: action("applyEffect", async group => {
+						const effect = await Dialog.prompt({
+							title: game.i18n.localize("ctg.groupContext.applyEffect"),
+							content: await renderTemplate(`modules/${Ctg.ID}/templates/groupEffect.hbs`, {
+								effects: CONFIG.statusEffects,
+							}),
+							label: game.i18n.localize("ctg.groupContext.apply"),
+							callback: html => {
+								const id = html[0].querySelector("[name='effect']").value;
+								return CONFIG.statusEffects.find(e => e.id === id);
+							},
+							rejectClose: false,
+						});
+						if (!effect) return;
+						for (const combatant of group) await toggleEffect(combatant, effect, { active: true });
+					}),
+				},
+				{
+					name: "ctg.groupContext.resetInitiative",
+					icon: '<i class="fas fa-undo"></i>',
+					condition: isGM,
+					callback: action("resetInitiative", (group, combat) =>
+						combat.updateEmbeddedDocuments(
+							"Combatant",
+							group.map(c => ({ _id: c.id, initiative: null }))
+						)
+					),
+				},
+				{
+					name: "ctg.groupContext.moveUp",
+					icon: '<i class="fas fa-arrow-up"></i>',
+					condition: isGM,
+					callback: action("moveUp", (group, combat) => Ctg.moveGroup(group, -1, combat)),
+				},
+				{
+					name: "ctg.groupContext.moveDown",
+					icon: '<i class="fas fa-arrow-down"></i>',
+					condition: isGM,
+					callback: action("moveDown", (group, combat) => Ctg.moveGroup(group, 1, combat)),
+				},
+				{
+					name: "ctg.groupContext.target",
+					icon: '<i class="fas fa-bullseye"></i>',
+					callback: action("target", async group => {
+						// Replace the current targets
+						[...game.user.targets].forEach(token =>
+							token.setTarget(false, { releaseOthers: false, groupSelection: true })
+						);
+						Ctg.getGroupTokens(group).forEach(token =>
+							token.setTarget(true, { releaseOthers: false, groupSelection: true })
+						);
+						game.user.broadcastActivity({ targets: game.user.targets.ids });
+					}),
+				},
+				{
+					name: "ctg.groupContext.select",
+					icon: '<i class="fas fa-expand"></i>',
+					callback: action("select", async group => Ctg.controlGroup(group)),
+				},
+				{
+					name: "ctg.groupContext.pan",
+					icon: '<i class="fas fa-crosshairs"></i>',
+					callback: action("pan", async group => Ctg.panToGroup(group)),
+				},
+				{
+					name: "ctg.groupContext.remove",
+					icon: '<i class="fas fa-trash"></i>',
+					condition: isGM,
+					callback: action("remove", (group, combat) =>
+						combat.deleteEmbeddedDocuments(
+							"Combatant",
+							group.map(c => c.id)
+						)
+					),
+				},
+			];
+
+			// Allow other modules to add options
+			Hooks.call("getCtgGroupContext", html, options);
+
+			new ContextMenu($(html), ".ctg-labelBox", options);
+
+			// Don't open or close the group when clicking on the context menu
+			html.addEventListener("click", event => {
+				if (event.target.closest(".ctg-labelBox #context-menu")) event.preventDefault();
+			});
+		});
+	}
+
+	/** Manage highlighting the tokens of groups on the canvas from their headers in the Combat Tracker, and outlining them */
+	groupHighlighting() {
+		/** The tokens which are highlighted while hovering over a group header
+		 * @type {Token[]}
+		 */
+		let highlighted = [];
+
+		/** Get the header of a group from an event on its name, so that the rest of the header still opens and closes it
+		 * @param {Event} event - The event
+		 * @returns {HTMLElement|null} The header
+		 */
+		const getHeader = event => event.target.closest(".ctg-labelName")?.closest(".ctg-labelBox") ?? null;
+
+		Hooks.on("renderCombatTracker", (app, [html], data) => {
+			if (!data.combat) return;
+
+			// Highlight the tokens of a group when hovering over its header, like the core Combat Tracker does for a combatant
+			html.addEventListener("mouseover", event => {
+				const header = event.target.closest(".ctg-labelBox");
+				if (!header || header.contains(event.relatedTarget) || !canvas.ready) return;
+				highlighted = Ctg.getGroupTokens(Ctg.getHeaderGroup(header)).filter(
+					token => token.isVisible && !token._controlled
+				);
+				highlighted.forEach((token, i) => token._onHoverIn(event, { hoverOutOthers: i === 0 }));
+			});
+			html.addEventListener("mouseout", event => {
+				const header = event.target.closest(".ctg-labelBox");
+				if (!header || header.contains(event.relatedTarget)) return;
+				highlighted.filter(token => !token.destroyed).forEach(token => token._onHoverOut(event));
+				highlighted = [];
+			});
+
+			// Control the tokens of a group when clicking on its name, and pan to them when double-clicking
+			html.addEventListener("click", event => {
+				const header = getHeader(event);
+				if (!header || !canvas.ready) return;
+				// Don't open or close the group
+				event.preventDefault();
+				if (event.detail === 1) Ctg.controlGroup(Ctg.getHeaderGroup(header));
+			});
+			html.addEventListener("dblclick", event => {
+				const header = getHeader(event);
+				if (header && canvas.ready) Ctg.panToGroup(Ctg.getHeaderGroup(header));
+			});
+		});
+
+		// Redraw the outlines whenever the groups or their tokens change, at most once per frame
+		let frame;
+		const drawOutlines = () => {
+			if (frame) return;
+			frame = requestAnimationFrame(() => {
+				frame = undefined;
+				Ctg.drawGroupOutlines();
+			});
+		};
+		["renderCombatTracker", "canvasReady", "refreshToken", "updateToken", "sightRefresh"].forEach(hook =>
+			Hooks.on(hook, drawOutlines)
+		);
+	}
+
+	/** Manage dragging and dropping combatants between groups in Selection mode */
+	groupDragDrop() {
+		Hooks.on("renderCombatTracker", (app, [html], data) => {
+			const combat = data.combat;
+			if (!game.user?.isGM || !combat || ![Ctg.getMode(combat), Ctg.getSubMode(combat)].includes("selection")) {
+				return;
+			}
+
+			/** The combatant which is being dragged */
+			let dragged = null;
+
+			/** Get the element which a combatant is being dropped onto
+			 * Only groups of "Selection" mode and combatants which are alone in it can be dropped onto
+			 * @param {HTMLElement} target - The element under the cursor
+			 * @returns {HTMLElement|null} A combatant, a group, the root of the tracker, or `null` if it can't be dropped there
+			 */
+			const getDropTarget = target => {
+				const element = target.closest(
+					'li.combatant[data-ctg-mode="selection"], details.ctg-toggle[data-ctg-mode="selection"]'
+				);
+				if (element) return element;
+				return target.closest("li.combatant, details.ctg-toggle") ? null : target.closest("#combat-tracker");
+			};
+
+			// Allow dragging the combatants
+			html.querySelectorAll("li.combatant").forEach(element => (element.draggable = true));
+
+			html.addEventListener("dragstart", event => {
+				const element = event.target.closest?.("li.combatant");
+				dragged = combat.combatants.get(element?.dataset.combatantId) ?? null;
+				if (!dragged) return;
+				event.dataTransfer.setData("text/plain", JSON.stringify({ type: "Combatant", id: dragged.id }));
+				event.dataTransfer.effectAllowed = "move";
+			});
+
+			html.addEventListener("dragend", () => {
+				dragged = null;
+				html.querySelectorAll(".ctg-dropTarget").forEach(el => el.classList.remove("ctg-dropTarget"));
+			});
+
+			// Highlight where the combatant would be dropped
+			html.addEventListener("dragover", event => {
+				const target = dragged && getDropTarget(event.target);
+				if (!target) return;
+				event.preventDefault();
+				html.querySelectorAll(".ctg-dropTarget").forEach(el => el.classList.remove("ctg-dropTarget"));
+				target.classList.add("ctg-dropTarget");
+			});
+
+			html.addEventListener("drop", event => {
+				const target = dragged && getDropTarget(event.target);
+				if (!target) return;
+				event.preventDefault();
+
+				/** The combatants which are moved and the group they are moved into */
+				const members = [dragged];
+				let group = null;
+
+				if (target.matches("li.combatant")) {
+					// Dropped onto another combatant: create a new group with it
+					const other = combat.combatants.get(target.dataset.combatantId);
+					if (!other || other === dragged) return;
+					group = randomID(16);
+					members.push(other);
+				} else if (target.matches("details.ctg-toggle")) {
+					// Dropped into a group: join it, giving it an ID if it doesn't have one yet
+					const others = [...target.querySelectorAll("li.combatant")]
+						.map(el => combat.combatants.get(el.dataset.combatantId))
+						.filter(c => c);
+					const ids = new Set(others.map(c => c.getFlag(Ctg.ID, "group") ?? null));
+					group = ids.size === 1 && !ids.has(null) ? [...ids][0] : randomID(16);
+					members.push(...others);
+				}
+				// Otherwise, it was dropped onto the root list, so leave the group
+
+				const updates = members
+					.filter((c, i) => members.indexOf(c) === i && (c.getFlag(Ctg.ID, "group") ?? null) !== group)
+					.map(c => ({ _id: c.id, [`flags.${Ctg.ID}.group`]: group }));
+				if (!updates.length) return;
+				combat.updateEmbeddedDocuments("Combatant", updates);
+
+				// Call selection hook
+				Hooks.call("ctgSelection", updates);
+			});
+		});
+	}
+
+	/** Manage the automation of "Checked" mode */
+	checkedMode() {
+		/** Uncheck all of the combatants in a combat
+		 * @param {Combat} combat
+		 * @returns {Promise<Combatant[]>}
+		 */
+		const uncheckAll = combat =>
+			combat.updateEmbeddedDocuments(
+				"Combatant",
+				combat.combatants
+					.filter(combatant => combatant.getFlag(Ctg.ID, "checked"))
+					.map(combatant => ({ _id: combatant.id, [`flags.${Ctg.ID}.checked`]: false }))
+			);
+
+		// Uncheck everyone when a new round starts
+		Hooks.on("updateCombat", (combat, change) => {
+			if (
+				game.user === Ctg.responsibleGM &&
+				Ctg.getMode(combat) === "checked" &&
+				game.settings.get(Ctg.ID, "checkedResetOnRound") &&
+				change.round > (combat.previous?.round ?? 0)
+			) {
+				uncheckAll(combat);
+			}
+		});
+
+		// Move on to the next unchecked combatant when the current one is checked
+		Hooks.on("updateCombatant", (combatant, change) => {
+			const combat = combatant.parent;
+			if (
+				game.user !== Ctg.responsibleGM ||
+				getProperty(change, `flags.${Ctg.ID}.checked`) !== true ||
+				Ctg.getMode(combat) !== "checked" ||
+				!game.settings.get(Ctg.ID, "checkedAutoAdvance") ||
+				!combat.started
+			) {
+				return;
+			}
+
+			// Advance the round once every visible combatant has been checked
+			const unchecked = combat.turns.filter(c => !c.hidden && !c.getFlag(Ctg.ID, "checked"));
+			if (!unchecked.length) return combat.nextRound();
+
+			// Otherwise, go to the next unchecked combatant after the current one, looping to the start if necessary
+			if (combatant !== combat.combatant) return;
+			const next = unchecked.find(c => combat.turns.indexOf(c) > combat.turn) ?? unchecked[0];
+			return combat.update({ turn: combat.turns.indexOf(next) }, { ctgGroupSkipping: false });
+		});
+
+		// Add a button to the tracker's header to uncheck everyone
+		Hooks.on("renderCombatTracker", (app, [html], data) => {
+			if (!game.user?.isGM || !data.combat || Ctg.getMode(data.combat) !== "checked") return;
+			const button = document.createElement("a");
+			button.classList.add("combat-control", "ctg-uncheckAll");
+			button.title = game.i18n.localize("ctg.titles.uncheckAll");
+			button.innerHTML = "<i class='far fa-square'></i>";
+			button.addEventListener("click", event => {
+				event.preventDefault();
+				uncheckAll(data.combat);
+			});
+			html.querySelector("[data-control='resetAll']")?.after(button);
+		});
+	}
+
+	/** Manage choosing the default mode of each scene in its configuration */
+	sceneModes() {
+		Hooks.on("renderSceneConfig", (app, [html]) => {
+			if (!game.user?.isGM) return;
+
+			// Add a form group to the end of the basic tab for the default mode and secondary mode
+			["mode", "subMode"].forEach(key => {
+				// Create a select with an option for each mode
+				const select = document.createElement("select");
+				select.name = `flags.${Ctg.ID}.${key}`;
+				const worldDefault = document.createElement("option");
+				worldDefault.value = "";
+				worldDefault.innerText = game.i18n.localize("ctg.sceneConfig.worldDefault");
+				select.append(worldDefault);
+				Ctg.MODES.forEach(({ id, label }) => {
+					const option = document.createElement("option");
+					option.value = id;
+					option.innerText = label;
+					select.append(option);
+				});
+				select.value = app.object.getFlag(Ctg.ID, key) ?? "";
+
+				// Create a form group for the select
+				const formGroup = document.createElement("div");
+				formGroup.classList.add("form-group");
+				const label = document.createElement("label");
+				label.innerText = game.i18n.localize(`ctg.sceneConfig.${key}.name`);
+				const notes = document.createElement("p");
+				notes.classList.add("notes");
+				notes.innerText = game.i18n.localize(`ctg.sceneConfig.${key}.hint`);
+				formGroup.append(label, select, notes);
+
+				html.querySelector('.tab[data-tab="basic"]')?.append(formGroup);
+			});
+			app.setPosition({ height: "auto" });
+		});
+	}
+
 	/** Manage grouping of selected tokens */
 	groupSelection() {
 		// Scene controls toggle button
 		Hooks.on("getSceneControlButtons", controls => {
-			// Add a scene control under the tokens menu if GM
-			if (game.user?.isGM) {
+			// Add a scene control under the tokens menu if GM or if players are allowed to group
+			if (game.user?.isGM || game.settings.get(Ctg.ID, "groupPermission") !== "none") {
 				controls
 					.find(c => c.name === "token")
 					.tools.push({
@@ -710,41 +2037,7 @@ export default class Ctg {
 							ui.controls.control.activeTool = "select";
 							ui.controls.render();
 
-							// Generate a unique ID
-							const uid = randomID(16);
-
-							// Unset the flag if all controlled tokens have the same non-nullish value
-							const values = new Set(
-								canvas.tokens.controlled
-									.filter(token => token.combatant)
-									.map(token => token.combatant?.getFlag(Ctg.ID, "group") ?? null)
-							);
-							const unset = values.size === 1 && !values.has(null);
-
-							// Update the flag on each combatant whose token is controlled
-							const updates = [];
-							canvas.tokens.controlled.forEach(token => {
-								// Check if token is in combat and if the combatant is already in the updates list
-								if (token.inCombat && !updates.some(u => u._id === token.combatant.id)) {
-									updates.push({
-										_id: token.combatant.id,
-										[`flags.${Ctg.ID}.group`]: unset ? null : uid,
-									});
-								}
-							});
-							game.combat?.updateEmbeddedDocuments("Combatant", updates);
-
-							// Call selection hook
-							Hooks.call("ctgSelection", updates);
-
-							ui.notifications.info(
-								game.i18n.format("ctg.notifications.groupSelection", {
-									action: unset
-										? game.i18n.localize("ctg.actions.removed")
-										: game.i18n.localize("ctg.actions.created"),
-									count: updates.length,
-								})
-							);
+							Ctg.groupControlledTokens();
 						},
 					});
 			}
@@ -0,0 +1,384 @@
+/** A grouping and sorting engine which works on plain objects, so that it doesn't depend on Foundry VTT or the DOM
+ * Combatants only need the properties which the paths of a mode refer to, plus an `id` for sorting them deterministically
+ */
+
+/** Whether a value is a number or a string of a number, like the core `isNumeric`
+ * @param {*} n
+ * @returns {boolean}
+ */
+export function isNumeric(n) {
+	if (Array.isArray(n) || [null, "", undefined].includes(n)) return false;
+	return +n === +n;
+}
+
+/** Get a property of an object, like the core `getProperty`
+ * @param {object} object - The object to traverse
+ * @param {string} key - An object property with notation a.b.c
+ * @return {*} The value of the found property
+ */
+export function getProperty(object, key) {
+	if (!key) return undefined;
+	return key
+		.split(".")
+		.reduce(
+			(target, part) =>
+				target !== null && typeof target === "object" && part in target ? target[part] : undefined,
+			object
+		);
+}
+
+/** Localize an error message with Foundry VTT, or else use its key
+ * @param {string} key - The localization key
+ * @param {object} data - The data to format the message with
+ * @returns {string}
+ */
+function format(key, data) {
+	return globalThis.game?.i18n?.format(key, data) ?? key;
+}
+
+/**
+ * A recursive version of the core `getProperty` helper
+ * @param {object} object - The object to traverse
+ * @param {string} key - An object property with notation a.b.*.c where * is a wildcard
+ * @param {number} [l=0] - The initial level of recursion
+ * @return {*[] | *} The value of the found property
+ */
+export function recursiveGetProperty(object, key, l = 0) {
+	const parts = key.split(".*.");
+	const target = getProperty(object, parts[l]);
+
+	// Descend into each item of an array if there is a wildcard after it
+	return Array.isArray(target) && l + 1 < parts.length
+		? target.map(t => recursiveGetProperty(t, key, l + 1))
+		: target;
+}
+
+/** A wrapper around the `recursiveGetProperty` helper above which always gives a single value
+ * @param {object} object - The object to traverse
+ * @param {string} key - An object property with notation a.b.*.c where * is a wildcard
+ * @return {*} A single concatenated value of the found properties
+ */
+export function recursiveGetPropertyConcat(object, key) {
+	const target = recursiveGetProperty(object, key);
+	return Array.isArray(target) ? target.flat(Infinity).sort().join("") : target;
+}
+
+/** Transforms which can be applied to the value of a path using the notation `a.b.c|transform:argument`
+ * @type {Object<string, {argument: ("number"|"string"|"path"|undefined), apply: Function}>}
+ */
+export const TRANSFORMS = {
+	/** Round a number down to a multiple of the argument, e.g. `initiative|bucket:5` */
+	bucket: {
+		argument: "number",
+		apply: (value, size) => (isNumeric(value) ? Math.floor(value / size) * size : undefined),
+	},
+	/** Whether a number is less than the argument */
+	lt: { argument: "number", apply: (value, n) => (isNumeric(value) ? Number(value) < n : undefined) },
+	/** Whether a number is less than or equal to the argument */
+	lte: { argument: "number", apply: (value, n) => (isNumeric(value) ? Number(value) <= n : undefined) },
+	/** Whether a number is greater than the argument */
+	gt: { argument: "number", apply: (value, n) => (isNumeric(value) ? Number(value) > n : undefined) },
+	/** Whether a number is greater than or equal to the argument */
+	gte: { argument: "number", apply: (value, n) => (isNumeric(value) ? Number(value) >= n : undefined) },
+	/** Whether the value is equal to the argument */
+	eq: { argument: "string", apply: (value, other) => String(value) === other },
+	/** Convert a string to lower case */
+	lower: { apply: value => (typeof value === "string" ? value.toLowerCase() : value) },
+	/** Convert a string to upper case */
+	upper: { apply: value => (typeof value === "string" ? value.toUpperCase() : value) },
+	/** Use the value of another path if there is no value, e.g. `flags.ctg.group|default:actor.type` */
+	default: {
+		argument: "path",
+		apply: (value, path, object) => ((value ?? "") === "" ? recursiveGetPropertyConcat(object, path) : value),
+	},
+	/** The percentage which a number is of the value of another path, e.g. `actor.data.data.attributes.hp.value|percent:actor.data.data.attributes.hp.max` */
+	percent: {
+		argument: "path",
+		apply: (value, path, object) => {
+			const total = recursiveGetPropertyConcat(object, path);
+			return isNumeric(value) && isNumeric(total) && Number(total) !== 0 ? (value / total) * 100 : undefined;
+		},
+	},
+};
+
+/** Parsed paths which have already been seen
+ * @type {Map<string, {path: string, transforms: {name: string, argument: *}[]}>}
+ */
+const parsedPaths = new Map();
+
+/** Parse a path with transforms in the notation `a.b.*.c|transform:argument|transform`
+ * @param {string} path - The path to parse
+ * @return {{path: string, transforms: {name: string, argument: *}[]}} The property path and the transforms to apply in order
+ * @throws {Error} If any of the transforms are invalid
+ */
+export function parsePath(path = "") {
+	if (parsedPaths.has(path)) return parsedPaths.get(path);
+
+	const [property, ...parts] = path.split("|").map(p => p.trim());
+	const transforms = parts.map(part => {
+		// Split the name from the argument at the first colon
+		const [name, ...rest] = part.split(":").map(p => p.trim());
+		const argument = rest.length ? rest.join(":") : undefined;
+		const transform = TRANSFORMS[name];
+
+		if (!transform) throw new Error(format("ctg.errors.unknownTransform", { name, path }));
+		if (transform.argument && !argument) {
+			throw new Error(format("ctg.errors.missingArgument", { name, path }));
+		}
+		if (!transform.argument && argument !== undefined) {
+			throw new Error(format("ctg.errors.unexpectedArgument", { name, path }));
+		}
+		if (
+			transform.argument === "number" &&
+			(!isNumeric(argument) || (name === "bucket" && Number(argument) <= 0)) // Buckets must have a size
+		) {
+			throw new Error(format("ctg.errors.invalidNumber", { name, path, argument }));
+		}
+
+		return { name, argument: transform.argument === "number" ? Number(argument) : argument };
+	});
+
+	const parsed = { path: property, transforms };
+	parsedPaths.set(path, parsed);
+	return parsed;
+}
+
+/** Get the value of a path on an object after applying its transforms
+ * @param {object} object - The object to traverse
+ * @param {string} path - A path with notation a.b.*.c|transform:argument
+ * @return {*} The transformed value of the found properties
+ */
+export function getPathValue(object, path) {
+	const parsed = parsePath(path);
+	return parsed.transforms.reduce(
+		(value, { name, argument }) => TRANSFORMS[name].apply(value, argument, object),
+		recursiveGetPropertyConcat(object, parsed.path)
+	);
+}
+
+/** Get the property paths of a grouping mode
+ * @param {Mode} mode - A grouping mode
+ * @return {string[]} The paths of this mode
+ */
+export function getModePaths(mode) {
+	return mode?.paths ?? [];
+}
+
+/** Get the values of each of a grouping mode's paths on a given object
+ * @param {object} object - The object to traverse
+ * @param {Mode} mode - A grouping mode
+ * @return {*[]} The transformed value found for each of the mode's paths
+ */
+export function getModeValues(object, mode) {
+	return getModePaths(mode).map(path => getPathValue(object, path));
+}
+
+/** The built-in grouping modes, with the paths of the document model of Foundry VTT v9
+ * @type {Mode[]}
+ */
+export const DEFAULT_MODES = [
+	{ id: "none", label: "None", paths: [], options: {} },
+	{ id: "initiative", label: "Initiative", paths: ["initiative"], options: {} },
+	{ id: "name", label: "Name", paths: ["name"], options: {} },
+	{ id: "selection", label: "Selection", paths: ["data.flags.ctg.group"], options: {} },
+	{ id: "players", label: "Players", paths: ["players.*.id"], options: {} },
+	{ id: "actor", label: "Actor", paths: ["data.actorId"], options: {} },
+	{ id: "checked", label: "Checked", paths: ["data.flags.ctg.checked"], options: {} },
+	{ id: "type", label: "Type", paths: ["actor.type"], options: {} },
+	{ id: "proximity", label: "Proximity", paths: [], options: {} },
+];
+
+/** How the combatants of a grouping mode are sorted, which is stored in the `sort` option of the mode
+ * @typedef {object} SortOptions
+ * @property {("auto"|"asc"|"desc")} direction - The direction of the sort, where "auto" sorts numbers descending and everything else ascending
+ * @property {string} comparator - The name of one of the {@link SORT_COMPARATORS}
+ * @property {string[]} order - The values in the order which they are sorted in by the "order" comparator
+ * @property {string[]} tieBreakers - Paths which are compared in turn when all of the mode's paths are equal
+ */
+
+/** The sort options which are used for any that a grouping mode doesn't set
+ * @type {SortOptions}
+ */
+export const DEFAULT_SORT = { direction: "auto", comparator: "auto", order: [], tieBreakers: ["initiative", "name"] };
+
+/** The directions which a grouping mode can be sorted in */
+export const SORT_DIRECTIONS = ["auto", "asc", "desc"];
+
+/** Comparators which sort two values in ascending order
+ * @type {Object<string, function(*, *, string[]): number>}
+ */
+export const SORT_COMPARATORS = {
+	/** Guess from the types of the values: `false` before `true`, numbers numerically, and text alphabetically */
+	auto: (a, b) => {
+		if (typeof a === "boolean" && typeof b === "boolean") return a - b;
+		if (isNumeric(a) && isNumeric(b)) return a - b;
+		// IDs are random, so they are left to the tie-breakers
+		if (isID(a) && isID(b)) return 0;
+		return String(a).localeCompare(String(b));
+	},
+	/** Compare numbers, with anything that isn't a number after them */
+	numeric: (a, b) => {
+		const [na, nb] = [a, b].map(v => (isNumeric(v) ? Number(v) : Infinity));
+		return na === nb ? 0 : na < nb ? -1 : 1;
+	},
+	/** Compare text alphabetically */
+	alphabetical: (a, b) => String(a).localeCompare(String(b)),
+	/** Compare text alphabetically, but with numbers in it compared numerically, e.g. "Goblin 2" before "Goblin 10" */
+	natural: (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" }),
+	/** Compare by the position in a custom list of values, with values which aren't in the list after them */
+	order: (a, b, order = []) => {
+		const [ia, ib] = [a, b].map(v => {
+			const index = order.indexOf(String(v));
+			return index === -1 ? order.length : index;
+		});
+		return ia - ib;
+	},
+};
+
+/** Whether a value looks like the ID of a document
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isID(value) {
+	return typeof value === "string" && /^[A-Za-z0-9]{16}$/.test(value);
+}
+
+/** Get the sort options of a grouping mode, filling in the defaults for any which it doesn't set
+ * @param {Mode} mode - A grouping mode
+ * @returns {SortOptions} The sort options
+ */
+export function getSortOptions(mode) {
+	const sort = { ...DEFAULT_SORT, ...(mode?.options?.sort ?? {}) };
+	return { ...sort, order: [...sort.order], tieBreakers: [...sort.tieBreakers] };
+}
+
+/** Compare two values of a path for sorting
+ * Values which are missing always go last, arrays are compared by their first item and objects by their ID
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @param {Partial<SortOptions>} [options] - How to compare the values
+ * @returns {number} A negative number if `a` goes first, a positive number if `b` goes first, or 0 if they are equal
+ */
+export function compareValues(a, b, { direction = "auto", comparator = "auto", order = [] } = {}) {
+	[a, b] = [a, b]
+		.map(value => (Array.isArray(value) ? value[0] : value))
+		.map(value => (value !== null && typeof value === "object" ? value.id : value));
+
+	// Put missing values last, no matter the direction
+	const [missingA, missingB] = [a, b].map(value => (value ?? "") === "");
+	if (missingA || missingB) return missingA - missingB;
+
+	const result = (SORT_COMPARATORS[comparator] ?? SORT_COMPARATORS.auto)(a, b, order);
+	if (direction === "auto") {
+		// Sort numbers from highest to lowest, like initiative
+		const numeric = typeof a !== "boolean" && isNumeric(a) && isNumeric(b);
+		direction = numeric && ["auto", "numeric"].includes(comparator) ? "desc" : "asc";
+	}
+	return direction === "desc" ? -result : result;
+}
+
+/** Compare two combatants by the paths of a grouping mode, then by its tie-breakers, and then by their IDs
+ * @param {object} a - The first combatant
+ * @param {object} b - The second combatant
+ * @param {Mode} mode - The grouping mode
+ * @returns {number} A negative number if `a` goes first, or a positive number if `b` goes first
+ */
+export function compareCombatants(a, b, mode) {
+	const sort = getSortOptions(mode);
+
+	// Compare by each path in order until one of them decides
+	for (const path of getModePaths(mode)) {
+		const result = compareValues(getPathValue(a, path), getPathValue(b, path), sort);
+		if (result) return result;
+	}
+
+	// Then by each of the tie-breakers
+	for (const path of sort.tieBreakers) {
+		const result = compareValues(getPathValue(a, path), getPathValue(b, path));
+		if (result) return result;
+	}
+
+	// Fallback to comparing the IDs
+	return a?.id === b?.id ? 0 : a?.id > b?.id ? 1 : -1;
+}
+
+/** Whether a value of a path can be grouped by
+ * Missing values, empty strings and `false` aren't grouped, but numbers such as `0` are
+ * @param {*} value - The value
+ * @returns {boolean} Whether the value can be grouped by
+ */
+export function isGroupable(value) {
+	return value !== undefined && value !== null && value !== "" && value !== false;
+}
+
+/** Group combatants whose values for all of the paths of a grouping mode are the same
+ * Combatants which are missing any of the values aren't grouped
+ * @param {object[]} combatants - The combatants to group
+ * @param {Mode} mode - The grouping mode
+ * @param {function(object): boolean} [canGroup] - Whether a combatant can be grouped
+ * @returns {object[][]} The groups, in the order that their first combatants were found
+ */
+export function groupByPaths(combatants, mode, canGroup = () => true) {
+	const groups = new Map();
+	combatants.forEach(combatant => {
+		const values = getModeValues(combatant, mode);
+		if (!canGroup(combatant) || !values.length || !values.every(isGroupable)) return;
+		const key = JSON.stringify(values);
+		groups.set(key, [...(groups.get(key) ?? []), combatant]);
+	});
+	return [...groups.values()];
+}
+
+/** Cluster together combatants which are near any other combatant in the cluster
+ * @param {object[]} combatants - The combatants to cluster
+ * @param {function(object, object): boolean} isNear - Whether two combatants are near each other
+ * @returns {object[][]} The clusters, including the combatants which aren't near anyone on their own
+ */
+export function clusterCombatants(combatants, isNear) {
+	const remaining = [...combatants];
+	const clusters = [];
+	while (remaining.length) {
+		const cluster = remaining.splice(0, 1);
+		for (let i = 0; i < cluster.length; i++) {
+			for (let j = remaining.length - 1; j >= 0; j--) {
+				if (isNear(cluster[i], remaining[j])) cluster.push(...remaining.splice(j, 1));
+			}
+		}
+		clusters.push(cluster);
+	}
+	return clusters;
+}
+
+/** Sort the combatants within each group, and then the groups by their first combatants
+ * @param {object[][]} groups - The groups, which are sorted in place
+ * @param {function(object, object): number} compare - How to compare two combatants
+ * @returns {object[][]} The sorted groups
+ */
+export function sortGroups(groups, compare) {
+	return groups.map(group => group.sort(compare)).sort((a, b) => compare(a[0], b[0]));
+}
+
+/** Group and sort combatants by a grouping mode
+ * @param {object[]} combatants - The combatants to group
+ * @param {Mode} mode - The grouping mode
+ * @param {object} [options]
+ * @param {function(object): boolean} [options.canGroup] - Whether a combatant can be grouped
+ * @param {function(object, object): boolean} [options.isNear] - Whether two combatants are near each other, which is used to cluster them instead of grouping them by paths
+ * @param {function(object, object): number} [options.compare] - How to compare two combatants, defaulting to the mode's sort options
+ * @returns {object[][]} The sorted groups
+ */
+export function groupCombatants(combatants, mode, { canGroup = () => true, isNear, compare } = {}) {
+	const groups = isNear
+		? clusterCombatants(combatants.filter(canGroup), isNear)
+		: groupByPaths(combatants, mode, canGroup);
+	return sortGroups(groups, compare ?? ((a, b) => compareCombatants(a, b, mode)));
+}
+
+/** Join the names of a group's combatants into its display name, leaving out any duplicates
+ * @param {string[]} names - The names of the combatants
+ * @returns {string} The name of the group, e.g. "Goblin and Orc" or "Goblin, Orc, Troll"
+ */
+export function joinNames(names) {
+	names = [...new Set(names)];
+	return names.length < 3 ? names.join(" and ") : names.join(", ");
+}
@@ -1,28 +1,83 @@
-/**
- * A recursive version of the core `getProperty` helper
- * @param {object} object - The object to traverse
- * @param {string} key - An object property with notation a.b.*.c where * is a wildcard
- * @param {number} [l=0] - The initial level of recursion
- * @return {*[] | *} The value of the found property
+import { getModePaths, parsePath, joinNames, SORT_COMPARATORS, SORT_DIRECTIONS } from "./engine.js";
+
+/** Create a grouping mode, converting it from the old array form `[name, ...paths]` if necessary
+ * @param {Mode|string[]} mode - The mode or its old array form
+ * @return {Mode} The mode with all of its properties
  */
-export function recursiveGetProperty(object, key, l = 0) {
-	const target = getProperty(object, key.split(".*.")[l]);
-	const nextTarget = getProperty(object, key.split(".*.")[l + 1]);
-	const descend = () => {
-		l++;
-		return target.map(t => recursiveGetProperty(t, key, l));
+export function createMode(mode) {
+	if (Array.isArray(mode)) {
+		const [id, ...paths] = mode;
+		mode = { id, paths };
+	}
+	if (typeof mode !== "object" || mode === null) return mode;
+	return {
+		id: mode.id,
+		label: mode.label || (typeof mode.id === "string" ? mode.id.capitalize() : mode.id),
+		paths: Array.isArray(mode.paths) ? mode.paths.filter(path => path !== "") : mode.paths,
+		options: mode.options ?? {},
 	};
-	return Array.isArray(target) && target && nextTarget ? descend() : target;
 }
 
-/** A wrapper around the `recursiveGetProperty` helper above which always gives a single value
- * @param {object} object - The object to traverse
- * @param {string} key - An object property with notation a.b.*.c where * is a wildcard
- * @return {*} A single concatenated value of the found properties
+/** Check that a grouping mode is valid, such as one which was imported
+ * @param {*} mode - A grouping mode which should be a {@link Mode}
+ * @throws {Error} If the mode doesn't have an ID, a label, and an array of paths or any of its paths are invalid
+ */
+export function validateMode(mode) {
+	if (
+		typeof mode !== "object" ||
+		mode === null ||
+		typeof mode.id !== "string" ||
+		!mode.id.trim() ||
+		typeof mode.label !== "string" ||
+		!Array.isArray(mode.paths) ||
+		!mode.paths.every(path => typeof path === "string") ||
+		typeof mode.options !== "object" ||
+		!isValidSort(mode.options?.sort)
+	) {
+		throw new Error(game.i18n.format("ctg.errors.invalidMode", { mode: JSON.stringify(mode) }));
+	}
+	[...getModePaths(mode), ...(mode.options?.sort?.tieBreakers ?? [])].forEach(path => parsePath(path));
+}
+
+/** Whether the sort options of a mode are valid, if it has any
+ * @param {Partial<SortOptions>} [sort] - The sort options
+ * @returns {boolean}
  */
-export function recursiveGetPropertyConcat(object, key) {
-	const target = recursiveGetProperty(object, key);
-	return Array.isArray(target) ? target.sort().deepFlatten().join("") : target;
+function isValidSort(sort) {
+	if (sort === undefined) return true;
+	const isStrings = value => value === undefined || (Array.isArray(value) && value.every(v => typeof v === "string"));
+	return (
+		typeof sort === "object" &&
+		sort !== null &&
+		[undefined, ...SORT_DIRECTIONS].includes(sort.direction) &&
+		(sort.comparator === undefined || sort.comparator in SORT_COMPARATORS) &&
+		isStrings(sort.order) &&
+		isStrings(sort.tieBreakers)
+	);
+}
+
+/** Get the name which Combat Utility Belt's "Hide Actor Names" shows to this user instead of a combatant's name
+ * CUB hides the names of combatants without a player owner from players, depending on the disposition of their token
+ * @param {Combatant} combatant - The combatant
+ * @returns {string|undefined} The replacement name, or `undefined` if the name isn't hidden
+ */
+function getCubHiddenName(combatant) {
+	const cub = "combat-utility-belt";
+	if (
+		game.user?.isGM ||
+		combatant?.hasPlayerOwner ||
+		!game.modules.get(cub)?.active ||
+		!game.settings.get(cub, "enableHideNPCNames")
+	) {
+		return;
+	}
+
+	// Get the disposition of the token, e.g. "Hostile"
+	const disposition = Object.keys(CONST.TOKEN_DISPOSITIONS)
+		.find(key => CONST.TOKEN_DISPOSITIONS[key] === combatant?.token?.data.disposition)
+		?.toLowerCase();
+	if (!disposition || !game.settings.get(cub, `enableHide${disposition.capitalize()}Names`)) return;
+	return game.settings.get(cub, `${disposition}NameReplacement`);
 }
 
 /** Get display name of a given group
@@ -30,41 +85,8 @@ export function recursiveGetPropertyConcat(object, key) {
  * @return {string} Concatenated display name for this group
  */
 export function getDisplayName(group) {
-	/**
-	 * Names in the current group
-	 * @type {string[]}
-	 */
-	const names = [];
-
-	// Go through all of the combatants in the group
-	group.forEach(combatant => {
-		/** The DOM element of this combatant */
-		const element = ui.combat.element[0].querySelector(`[data-combatant-id="${combatant?.id}"]`);
-
-		/** The name of this combatant in the Tracker */
-		const trackerName = element?.querySelector(".token-name > h4").textContent;
-
-		// Add the name of the current combatant if it is not already
-		if (!names.includes(combatant?.name)) {
-			names.push(
-				// Compatibility with CUB Hide Actor Names: check whether the name is being hidden by CUB
-				game.modules.get("combat-utility-belt")?.active &&
-					game.settings.get("combat-utility-belt", "enableHideNPCNames") &&
-					((game.settings.get("combat-utility-belt", "enableHideHostileNames") &&
-						trackerName === game.settings.get("combat-utility-belt", "hostileNameReplacement")) ||
-						(game.settings.get("combat-utility-belt", "enableHideNeutralNames") &&
-							trackerName === game.settings.get("combat-utility-belt", "neutralNameReplacement")) ||
-						(game.settings.get("combat-utility-belt", "enableHideFriendlyNames") &&
-							trackerName === game.settings.get("combat-utility-belt", "friendlyNameReplacement")))
-					// Add the name in the tracker instead if it has been hidden
-					? trackerName
-					: combatant?.name
-			);
-		}
-	});
-
-	// Return a string with the names
-	return names.length < 3 ? names.join(" and ") : names.join(", ");
+	// Compatibility with CUB Hide Actor Names: use the replacement name of each combatant whose name is hidden
+	return joinNames(group.map(combatant => getCubHiddenName(combatant) ?? combatant?.name));
 }
 
 /**
@@ -75,3 +97,24 @@ export function resizePopout() {
 		.find(w => w instanceof CombatTracker)
 		?.setPosition();
 }
+
+/** Get the convex hull of some points, using Andrew's monotone chain algorithm
+ * @param {{x: number, y: number}[]} points - The points
+ * @returns {{x: number, y: number}[]} The points on the hull, in order around it
+ */
+export function convexHull(points) {
+	const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+	if (sorted.length < 3) return sorted;
+
+	/** The cross product of `o` to `a` and `o` to `b`, which is positive if they turn counter-clockwise */
+	const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+	// Build the lower and upper halves of the hull, each without its last point which starts the other half
+	const half = list =>
+		list.reduce((hull, point) => {
+			while (hull.length >= 2 && cross(hull.at(-2), hull.at(-1), point) <= 0) hull.pop();
+			hull.push(point);
+			return hull;
+		}, []);
+	return [...half(sorted).slice(0, -1), ...half(sorted.reverse()).slice(0, -1)];
+}
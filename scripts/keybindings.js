@@ -1,4 +1,27 @@
 import Ctg from "./ctg.js";
+import { resizePopout } from "./helpers.js";
+import { rollGroup } from "./api.js";
+
+/** Change the mode of the combat which is viewed in the Combat Tracker to the next or previous mode
+ * @param {number} direction - 1 for the next mode or -1 for the previous mode
+ */
+function cycleMode(direction) {
+	const combat = ui.combat?.viewed;
+	if (!combat) return;
+	const ids = Ctg.MODES.map(m => m.id);
+	const index = (ids.indexOf(Ctg.getMode(combat)) + direction + ids.length) % ids.length;
+	Ctg.setMode(ids[index], combat);
+}
+
+/** Open or close every group toggle in the Combat Tracker and its popout
+ * @param {boolean} open - Whether to open the toggles
+ */
+function toggleGroups(open) {
+	document
+		.querySelectorAll("#combat details.ctg-toggle, #combat-popout details.ctg-toggle")
+		.forEach(toggle => (toggle.open = open));
+	resizePopout();
+}
 
 /** Register module keybindings */
 export default function registerKeybindings() {
@@ -6,7 +29,94 @@ export default function registerKeybindings() {
 		name: game.i18n.localize("ctg.settings.rollGroupInitiative.name"),
 		hint: game.i18n.localize("ctg.settings.rollGroupInitiative.hint"),
 		uneditable: [{ key: "ShiftLeft" }, { key: "ShiftRight" }, { key: "ControlLeft" }, { key: "ControlRight" }],
+		restricted: true,
 		onDown: () => (Ctg.groupInitiativeKeybind = true),
 		onUp: () => (Ctg.groupInitiativeKeybind = false),
 	});
+
+	// Keybindings which are unbound until a key is chosen for them in the controls configuration
+	game.keybindings.register(Ctg.ID, "nextMode", {
+		name: game.i18n.localize("ctg.keybindings.nextMode.name"),
+		hint: game.i18n.localize("ctg.keybindings.nextMode.hint"),
+		editable: [],
+		restricted: true,
+		onDown: () => {
+			cycleMode(1);
+			return true;
+		},
+	});
+	game.keybindings.register(Ctg.ID, "previousMode", {
+		name: game.i18n.localize("ctg.keybindings.previousMode.name"),
+		hint: game.i18n.localize("ctg.keybindings.previousMode.hint"),
+		editable: [],
+		restricted: true,
+		onDown: () => {
+			cycleMode(-1);
+			return true;
+		},
+	});
+	game.keybindings.register(Ctg.ID, "expandGroups", {
+		name: game.i18n.localize("ctg.keybindings.expandGroups.name"),
+		hint: game.i18n.localize("ctg.keybindings.expandGroups.hint"),
+		editable: [],
+		onDown: () => {
+			toggleGroups(true);
+			return true;
+		},
+	});
+	game.keybindings.register(Ctg.ID, "collapseGroups", {
+		name: game.i18n.localize("ctg.keybindings.collapseGroups.name"),
+		hint: game.i18n.localize("ctg.keybindings.collapseGroups.hint"),
+		editable: [],
+		onDown: () => {
+			toggleGroups(false);
+			return true;
+		},
+	});
+	game.keybindings.register(Ctg.ID, "nextGroupTurn", {
+		name: game.i18n.localize("ctg.keybindings.nextGroupTurn.name"),
+		hint: game.i18n.localize("ctg.keybindings.nextGroupTurn.hint"),
+		editable: [],
+		restricted: true,
+		onDown: () => {
+			if (ui.combat?.viewed) Ctg.goToGroup(1, ui.combat.viewed);
+			return true;
+		},
+	});
+	game.keybindings.register(Ctg.ID, "previousGroupTurn", {
+		name: game.i18n.localize("ctg.keybindings.previousGroupTurn.name"),
+		hint: game.i18n.localize("ctg.keybindings.previousGroupTurn.hint"),
+		editable: [],
+		restricted: true,
+		onDown: () => {
+			if (ui.combat?.viewed) Ctg.goToGroup(-1, ui.combat.viewed);
+			return true;
+		},
+	});
+	game.keybindings.register(Ctg.ID, "rollCurrentGroup", {
+		name: game.i18n.localize("ctg.keybindings.rollCurrentGroup.name"),
+		hint: game.i18n.localize("ctg.keybindings.rollCurrentGroup.hint"),
+		editable: [],
+		restricted: true,
+		onDown: () => {
+			const combat = ui.combat?.viewed;
+			if (combat?.combatant) {
+				rollGroup(combat.combatant.id, { combat }).catch(error =>
+					ui.notifications.warn(`${game.i18n.localize("ctg.ID")} | ${error.message}`)
+				);
+			}
+			return true;
+		},
+	});
+	game.keybindings.register(Ctg.ID, "groupControlledTokens", {
+		name: game.i18n.localize("ctg.keybindings.groupControlledTokens.name"),
+		hint: game.i18n.localize("ctg.keybindings.groupControlledTokens.hint"),
+		editable: [],
+		onDown: () => {
+			// Only if GM or if players are allowed to group, like the scene control
+			if (!game.user?.isGM && game.settings.get(Ctg.ID, "groupPermission") === "none") return false;
+			Ctg.groupControlledTokens();
+			return true;
+		},
+	});
 }
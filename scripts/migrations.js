@@ -0,0 +1,87 @@
+import Ctg from "./ctg.js";
+import { createMode } from "./helpers.js";
+
+/** Rewrite a path for the document model of Foundry VTT v10, where document data is no longer nested under `data`
+ * e.g. `data.actorId` becomes `actorId` and `actor.data.data.details.cr` becomes `actor.system.details.cr`
+ * @param {string} path - A path, including any of its transforms
+ * @returns {string} The rewritten path
+ */
+export function rewritePath(path) {
+	return path
+		.replace(/(^|:)data\./g, "$1") // The Combatant's own data, including in transform arguments
+		.replace(/\b(actor|token)\.data\.data\./g, "$1.system.")
+		.replace(/\b(actor|token)\.data\./g, "$1.");
+}
+
+/** Rewrite the paths of a mode for the document model of the current version of Foundry VTT
+ * @param {Mode} mode - The mode
+ * @returns {Mode} The mode with rewritten paths
+ */
+export function migrateModePaths(mode) {
+	if (!(game.release?.generation >= 10)) return mode;
+	return { ...mode, paths: mode.paths.map(rewritePath) };
+}
+
+/** Migrations of the module's saved data, which are each run once by the GM in the order that they are listed
+ * A migration with a `generation` is only run once the world is using at least that generation of Foundry VTT
+ * @type {{id: string, generation?: number, migrate: function(): Promise<*>}[]}
+ */
+export const MIGRATIONS = [
+	{
+		// Modes were arrays in the form `[name, ...paths]` before they became objects
+		id: "modeObjects",
+		migrate: () => Ctg.setMODES(Ctg.MODES.map(createMode)),
+	},
+	{
+		// Rewrite paths like `data.actorId` and `data.flags.ctg.group` for the v10 document model
+		id: "documentDataPaths",
+		generation: 10,
+		migrate: () => Ctg.setMODES(Ctg.MODES.map(migrateModePaths)),
+	},
+];
+
+/** Add the built-in modes which this world hasn't seen before, such as ones added by an update of the module
+ * Built-in modes which the world has already seen aren't added again, so that they stay deleted if the GM deleted them
+ * @returns {Promise<Mode[]|undefined>} The new modes, if any were added
+ */
+export async function addNewDefaultModes() {
+	const known = game.settings.get(Ctg.ID, "knownDefaultModes");
+	const unseen = game.settings.settings.get(`${Ctg.ID}.modes`).default.filter(m => !known.includes(m.id));
+	if (!unseen.length) return;
+
+	const ids = Ctg.MODES.map(m => m.id);
+	const added = unseen.filter(m => !ids.includes(m.id));
+	await game.settings.set(Ctg.ID, "knownDefaultModes", [...known, ...unseen.map(m => m.id)]);
+	if (!added.length) return;
+	Ctg.log(true, `Adding new built-in modes: ${added.map(m => m.id).join(", ")}`);
+	return Ctg.setMODES([...Ctg.MODES, ...added]);
+}
+
+/** Run any migrations which haven't been run yet in this world, then add any new built-in modes */
+export async function runMigrations() {
+	if (game.user !== Ctg.responsibleGM) return;
+
+	const completed = game.settings.get(Ctg.ID, "migrations");
+	const generation = game.release?.generation ?? 9;
+	for (const migration of MIGRATIONS) {
+		if (completed.includes(migration.id) || (migration.generation ?? 0) > generation) continue;
+
+		try {
+			Ctg.log(true, `Running migration "${migration.id}"`);
+			await migration.migrate();
+		} catch (error) {
+			console.error(error);
+			ui.notifications.error(
+				`${game.i18n.localize("ctg.ID")} | ${game.i18n.format("ctg.notifications.migrationFailed", {
+					id: migration.id,
+				})}`
+			);
+			return;
+		}
+
+		completed.push(migration.id);
+		await game.settings.set(Ctg.ID, "migrations", completed);
+	}
+
+	await addNewDefaultModes();
+}
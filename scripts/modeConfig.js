@@ -1,4 +1,15 @@
 import Ctg from "./ctg.js";
+import { createMode, getDisplayName, validateMode } from "./helpers.js";
+import {
+	getModeValues,
+	getPathValue,
+	groupByPaths,
+	parsePath,
+	getSortOptions,
+	SORT_COMPARATORS,
+	SORT_DIRECTIONS,
+} from "./engine.js";
+import { migrateModePaths } from "./migrations.js";
 
 export default class ModeConfig extends FormApplication {
 	/** @inheritdoc */
@@ -16,7 +27,18 @@ export default class ModeConfig extends FormApplication {
 	/** @inheritdoc */
 	getData(options = {}) {
 		return mergeObject(super.getData(options), {
-			modes: Ctg.MODES,
+			modes: Ctg.MODES.map(({ id, label, paths, options }) => ({
+				id,
+				label,
+				paths: paths.length ? paths : [""],
+				options: JSON.stringify(options),
+			})),
+			system: game.system.data.title,
+			presets: (Ctg.PRESETS[game.system.id] ?? []).map(({ label, paths }, i) => ({
+				index: i,
+				label,
+				paths: paths.join(", "),
+			})),
 		});
 	}
 
@@ -25,7 +47,25 @@ export default class ModeConfig extends FormApplication {
 		super.activateListeners(html);
 		html[0].querySelector(".create").addEventListener("click", this._create.bind(this));
 		html[0].querySelectorAll(".delete").forEach(el => el.addEventListener("click", this._delete.bind(this)));
+		html[0]
+			.querySelectorAll(".create-path")
+			.forEach(el => el.addEventListener("click", this._createPath.bind(this)));
+		html[0]
+			.querySelectorAll(".delete-path")
+			.forEach(el => el.addEventListener("click", this._deletePath.bind(this)));
 		html[0].querySelector(".reset").addEventListener("click", this._reset.bind(this));
+		html[0].querySelector(".import").addEventListener("click", this._import.bind(this));
+		html[0].querySelectorAll(".export").forEach(el => el.addEventListener("click", this._export.bind(this)));
+		html[0].querySelectorAll(".sort").forEach(el => el.addEventListener("click", this._editSort.bind(this)));
+		html[0].querySelectorAll(".preset").forEach(el => el.addEventListener("click", this._addPreset.bind(this)));
+
+		// Validate the names and paths and preview the groups as they are typed
+		html[0].addEventListener("input", ({ target }) => {
+			if (target.matches(".mode-name")) this._validateNames();
+			if (target.matches(".mode-path input")) this._previewMode(target.closest(".mode"));
+		});
+		this._validateNames();
+		html[0].querySelectorAll(".mode").forEach(modeRow => this._previewMode(modeRow));
 	}
 
 	_create() {
@@ -35,31 +75,250 @@ export default class ModeConfig extends FormApplication {
 		modeRow.classList.add("mode", "flexrow");
 		modeRow.dataset.index = i;
 
-		const nameInput = document.createElement("input");
-		nameInput.type = "text";
-		nameInput.classList.add("mode-name");
-		nameInput.name = `modes.${i}.0`;
+		const idInput = document.createElement("input");
+		idInput.type = "text";
+		idInput.classList.add("mode-name");
+		idInput.name = `modes.${i}.id`;
 
-		const pathInput = document.createElement("input");
-		pathInput.type = "text";
-		pathInput.classList.add("mode-path");
-		pathInput.name = `modes.${i}.1`;
+		const labelInput = document.createElement("input");
+		labelInput.type = "text";
+		labelInput.classList.add("mode-label");
+		labelInput.name = `modes.${i}.label`;
+
+		const optionsInput = document.createElement("input");
+		optionsInput.type = "hidden";
+		optionsInput.name = `modes.${i}.options`;
+		optionsInput.value = "{}";
+
+		const pathsBox = document.createElement("div");
+		pathsBox.classList.add("mode-paths", "flexcol");
+
+		const createPathButton = document.createElement("a");
+		createPathButton.classList.add("create-path");
+		createPathButton.title = game.i18n.localize("ctg.modeConfig.createPath");
+		createPathButton.innerHTML = '<i class="fas fa-plus fa-fw"></i>';
+		createPathButton.addEventListener("click", this._createPath.bind(this));
+
+		const preview = document.createElement("div");
+		preview.classList.add("mode-preview", "notes");
+
+		pathsBox.append(this._createPathRow(i, 0), createPathButton, preview);
+
+		const sortButton = document.createElement("a");
+		sortButton.classList.add("sort");
+		sortButton.title = game.i18n.localize("ctg.modeConfig.sort.title");
+		sortButton.innerHTML = '<i class="fas fa-sort-amount-down fa-fw"></i>';
+		sortButton.addEventListener("click", this._editSort.bind(this));
+
+		const exportButton = document.createElement("a");
+		exportButton.classList.add("export");
+		exportButton.title = game.i18n.localize("ctg.modeConfig.exportMode");
+		exportButton.innerHTML = '<i class="fas fa-file-export fa-fw"></i>';
+		exportButton.addEventListener("click", this._export.bind(this));
 
 		const deleteButton = document.createElement("a");
-		deleteButton.title = "Delete Mode";
+		deleteButton.title = game.i18n.localize("ctg.modeConfig.delete");
 		deleteButton.innerHTML = '<i class="fas fa-trash fa-fw"></i>';
 		deleteButton.addEventListener("click", this._delete.bind(this));
 
-		modeRow.append(nameInput, pathInput, deleteButton);
+		modeRow.append(idInput, labelInput, optionsInput, pathsBox, sortButton, exportButton, deleteButton);
 		document.querySelector("#ctg-modeConfig ol").append(modeRow);
+		this._validateNames();
 
 		// Adjust the app size
 		this.setPosition({ height: "auto" });
 	}
 
+	_createPath(event) {
+		const modeRow = event.currentTarget.closest(".mode");
+		const i = modeRow.dataset.index;
+		// Use the next index after the highest one, since deleted paths leave gaps
+		const j =
+			Math.max(-1, ...[...modeRow.querySelectorAll(".mode-path")].map(el => parseInt(el.dataset.index))) + 1;
+
+		// Add a new path row before the button
+		event.currentTarget.before(this._createPathRow(i, j));
+
+		// Adjust the app size
+		this.setPosition({ height: "auto" });
+	}
+
+	/** Create a row with an input for one of a mode's paths
+	 * @param {number} i - The index of the mode
+	 * @param {number} j - The index of the path within the mode
+	 * @returns {HTMLDivElement} The path row
+	 */
+	_createPathRow(i, j) {
+		const pathRow = document.createElement("div");
+		pathRow.classList.add("mode-path", "flexrow");
+		pathRow.dataset.index = j;
+
+		const pathInput = document.createElement("input");
+		pathInput.type = "text";
+		pathInput.name = `modes.${i}.paths.${j}`;
+
+		const deletePathButton = document.createElement("a");
+		deletePathButton.classList.add("delete-path");
+		deletePathButton.title = game.i18n.localize("ctg.modeConfig.deletePath");
+		deletePathButton.innerHTML = '<i class="fas fa-minus fa-fw"></i>';
+		deletePathButton.addEventListener("click", this._deletePath.bind(this));
+
+		pathRow.append(pathInput, deletePathButton);
+		return pathRow;
+	}
+
+	_deletePath(event) {
+		// Remove the current path row
+		const modeRow = event.currentTarget.closest(".mode");
+		event.currentTarget.closest(".mode-path").remove();
+		this._previewMode(modeRow);
+
+		// Adjust the app size
+		this.setPosition({ height: "auto" });
+	}
+
+	/** Validate a path input, showing any errors from parsing it
+	 * @param {HTMLInputElement} input - The path input
+	 * @returns {boolean} Whether the path is valid
+	 */
+	_validatePath(input) {
+		let error = "";
+		try {
+			parsePath(input.value);
+		} catch (err) {
+			error = err.message;
+		}
+		input.setCustomValidity(error);
+		input.title = error;
+		input.classList.toggle("ctg-invalid", Boolean(error));
+		return !error;
+	}
+
+	/** Flag any mode IDs which are empty or used by more than one mode
+	 * @returns {boolean} Whether all of the IDs are valid
+	 */
+	_validateNames() {
+		const inputs = [...this.form.querySelectorAll("input.mode-name")];
+		const names = inputs.map(input => input.value.trim());
+		inputs.forEach((input, i) => {
+			let error = "";
+			if (!names[i]) error = game.i18n.localize("ctg.errors.emptyName");
+			else if (names.indexOf(names[i]) !== i)
+				error = game.i18n.format("ctg.errors.duplicateName", { name: names[i] });
+			input.setCustomValidity(error);
+			input.title = error;
+			input.classList.toggle("ctg-invalid", Boolean(error));
+		});
+		return inputs.every(input => input.validity.valid);
+	}
+
+	/** Validate the paths of a mode and preview how the combatants of the viewed combat would be grouped by them
+	 * @param {HTMLElement} modeRow - The row of the mode
+	 */
+	_previewMode(modeRow) {
+		const inputs = [...modeRow.querySelectorAll(".mode-path input")];
+		const preview = modeRow.querySelector(".mode-preview");
+		const combat = ui.combat?.viewed ?? game.combat;
+		const combatants = combat?.turns ?? [];
+
+		// Check each of the paths, warning about ones which never resolve or which resolve to objects
+		const valid = inputs.map(input => {
+			if (!this._validatePath(input)) {
+				input.classList.remove("ctg-warning");
+				return false;
+			}
+			let warning = "";
+			if (input.value && combatants.length) {
+				const values = combatants.map(combatant => getPathValue(combatant, input.value));
+				if (values.every(value => (value ?? "") === "")) {
+					warning = game.i18n.localize("ctg.modeConfig.warnings.unresolved");
+				} else if (values.some(value => value !== null && typeof value === "object")) {
+					warning = game.i18n.localize("ctg.modeConfig.warnings.object");
+				}
+			}
+			input.title = warning;
+			input.classList.toggle("ctg-warning", Boolean(warning));
+			return true;
+		});
+
+		// Only preview the groups if there are valid paths and combatants
+		// The special modes are grouped without their paths, and only once they are saved and can be used
+		const paths = inputs.map(input => input.value).filter(path => path);
+		const id = modeRow.querySelector(".mode-name").value;
+		const special =
+			(id === "proximity" || (id === "mob" && game.modules.get("mob-attack-tool")?.active)) &&
+			Ctg.MODES.some(m => m.id === id);
+		if (!preview) return;
+		if ((!paths.length && !special) || !valid.every(v => v) || !combatants.length) {
+			preview.innerText = "";
+			return;
+		}
+
+		// Group the combatants in the same way as the Combat Tracker
+		const mode = { id, paths, options: {} };
+		const groups = special ? Ctg.groups(id, combat) ?? [] : groupByPaths(combatants, mode, Ctg.canGroup);
+
+		const samples = groups
+			.slice(0, 3)
+			.map(group => (special ? getDisplayName(group) : getModeValues(group[0], mode).join(" / ")));
+		preview.innerText = game.i18n.format("ctg.modeConfig.preview", {
+			count: groups.length,
+			samples: samples.length ? `: ${samples.join(", ")}${groups.length > samples.length ? ", …" : ""}` : "",
+		});
+	}
+
+	/** Open a dialog to choose how the combatants of a mode are sorted, which is saved in the mode's options
+	 * @param {MouseEvent} event - The click on the mode's sort button
+	 */
+	async _editSort(event) {
+		const input = event.currentTarget.closest(".mode").querySelector("input[name$='.options']");
+		const options = this._parseOptions(input.value);
+		const sort = getSortOptions({ options });
+
+		const content = await renderTemplate(`modules/${Ctg.ID}/templates/modeSort.hbs`, {
+			sort,
+			directions: SORT_DIRECTIONS,
+			comparators: Object.keys(SORT_COMPARATORS),
+			order: sort.order.join("\n"),
+			tieBreakers: sort.tieBreakers.join(", "),
+		});
+		const data = await Dialog.prompt({
+			title: game.i18n.localize("ctg.modeConfig.sort.title"),
+			content,
+			label: game.i18n.localize("ctg.modeConfig.save"),
+			callback: html => new FormDataExtended(html[0].querySelector("form")).toObject(),
+			rejectClose: false,
+		});
+		if (!data) return;
+
+		// Check the tie-breakers before saving them
+		const tieBreakers = data.tieBreakers
+			.split(",")
+			.map(path => path.trim())
+			.filter(path => path);
+		try {
+			tieBreakers.forEach(path => parsePath(path));
+		} catch (err) {
+			ui.notifications.error(`${Ctg.ID} | ${err.message}`);
+			return;
+		}
+
+		options.sort = {
+			direction: data.direction,
+			comparator: data.comparator,
+			order: data.order
+				.split("\n")
+				.map(value => value.trim())
+				.filter(value => value),
+			tieBreakers,
+		};
+		input.value = JSON.stringify(options);
+	}
+
 	_delete(event) {
 		// Remove the current mode row
 		event.currentTarget.closest(".mode").remove();
+		this._validateNames();
 
 		// Adjust the app size
 		this.setPosition({ height: "auto" });
@@ -73,11 +332,116 @@ export default class ModeConfig extends FormApplication {
 		this.render(true, { height: "auto" });
 	}
 
+	/** Get the modes from the form data
+	 * @param {object} formData - The flattened form data
+	 * @returns {Mode[]} The modes
+	 */
+	_getModes(formData) {
+		return Object.values(expandObject(formData).modes ?? {}).map(({ id, label, paths = {}, options }) =>
+			createMode({ id, label, paths: Object.values(paths), options: this._parseOptions(options) })
+		);
+	}
+
+	/** Parse the options of a mode from the JSON in its hidden input
+	 * @param {string} options - The JSON of the options
+	 * @returns {object} The options, or an empty object if they couldn't be parsed
+	 */
+	_parseOptions(options) {
+		try {
+			return JSON.parse(options || "{}");
+		} catch (err) {
+			return {};
+		}
+	}
+
+	/** Add modes to the saved modes, replacing any with the same ID
+	 * @param {Mode[]} modes - The modes to add
+	 */
+	async _addModes(modes) {
+		const ids = modes.map(m => m.id);
+		await Ctg.setMODES([...Ctg.MODES.filter(m => !ids.includes(m.id)), ...modes]);
+
+		// Re-render to show the new modes and adjust the app size
+		this.render(true, { height: "auto" });
+	}
+
+	/** Export either one mode or all of the modes in the form to a JSON file */
+	_export(event) {
+		const modeRow = event.currentTarget.closest(".mode");
+		let modes = this._getModes(this._getSubmitData());
+		if (modeRow) modes = [modes[[...modeRow.parentElement.children].indexOf(modeRow)]];
+
+		const name = modeRow ? modes[0].id.slugify() : "modes";
+		saveDataToFile(JSON.stringify(modes, null, 2), "text/json", `${Ctg.ID}-${name}.json`);
+	}
+
+	/** Import modes from a JSON file or from text, such as text which was copied from a journal entry */
+	async _import() {
+		const data = await Dialog.prompt({
+			title: game.i18n.localize("ctg.modeConfig.import"),
+			content: await renderTemplate(`modules/${Ctg.ID}/templates/importModes.hbs`),
+			label: game.i18n.localize("ctg.modeConfig.import"),
+			callback: async html => {
+				const file = html[0].querySelector("[name='file']").files[0];
+				return file ? readTextFromFile(file) : html[0].querySelector("[name='text']").value;
+			},
+			rejectClose: false,
+		});
+		if (!data?.trim()) return;
+
+		// Parse the modes, allowing either a single mode or an array of modes
+		let modes;
+		try {
+			modes = JSON.parse(data);
+		} catch (err) {
+			ui.notifications.error(`${Ctg.ID} | ${game.i18n.format("ctg.errors.invalidJSON", { error: err.message })}`);
+			return;
+		}
+		if (!Array.isArray(modes) || modes.every(part => typeof part === "string")) modes = [modes];
+
+		// Convert any modes in the old array form and reject any invalid modes
+		const errors = [];
+		const valid = modes.map(createMode).filter(mode => {
+			try {
+				validateMode(mode);
+				return true;
+			} catch (err) {
+				errors.push(err.message);
+				return false;
+			}
+		});
+		if (errors.length) {
+			ui.notifications.error(
+				`${Ctg.ID} | ${game.i18n.format("ctg.notifications.importRejected", { count: errors.length })}`
+			);
+			errors.forEach(error => console.error(`${Ctg.ID} |`, error));
+		}
+		if (!valid.length) return;
+
+		await this._addModes(valid.map(migrateModePaths));
+		ui.notifications.info(`${Ctg.ID} | ${game.i18n.format("ctg.notifications.imported", { count: valid.length })}`);
+	}
+
+	/** Add one of the presets for the current game system */
+	async _addPreset(event) {
+		const preset = Ctg.PRESETS[game.system.id]?.[event.currentTarget.dataset.index];
+		if (preset) await this._addModes([migrateModePaths(deepClone(preset))]);
+	}
+
 	/** @inheritdoc */
 	async _updateObject(_event, formData) {
+		// Don't save if any of the names or paths are invalid
+		this._validateNames();
+		const invalid = [...this.form.querySelectorAll(".mode-name, .mode-path input")].filter(
+			input => !input.validity.valid || (input.matches(".mode-path input") && !this._validatePath(input))
+		);
+		if (invalid.length) {
+			ui.notifications.error(`${Ctg.ID} | ${invalid[0].validationMessage}`);
+			return;
+		}
+
 		// Update the Modes with the form data
-		const modes = Object.values(expandObject(formData)).map(o => Object.values(o).map(o => Object.values(o)))[0];
-		await Ctg.setMODES(modes);
+		await Ctg.setMODES(this._getModes(formData));
 
 		// Re-render the combat tracker
 		this.render(true, { height: "auto" });
@@ -1,5 +1,8 @@
 import Ctg from "./ctg.js";
 import ModeConfig from "./modeConfig.js";
+import Socket from "./socket.js";
+import { migrateModePaths } from "./migrations.js";
+import { DEFAULT_MODES } from "./engine.js";
 
 export default function registerSettings() {
 	game.settings.register(Ctg.ID, "version", {
@@ -7,25 +10,21 @@ export default function registerSettings() {
 		config: false,
 		default: "0.0.0",
 		type: String,
-		onChange: () => {
-			if (!game.user.isGM) return;
-			new Dialog({
-				title: `${Ctg.ID} | ${game.i18n.localize("ctg.settings.version.title")}`,
-				content: game.i18n.localize("ctg.settings.version.content"),
-				buttons: {
-					yes: {
-						label: game.i18n.localize("Yes"),
-						callback: () => {
-							Ctg.manageModes(true);
-						},
-					},
-					no: {
-						label: game.i18n.localize("No"),
-					},
-				},
-				default: "yes",
-			}).render(true);
-		},
+	});
+
+	game.settings.register(Ctg.ID, "migrations", {
+		scope: "world",
+		config: false,
+		default: [],
+		type: Object,
+	});
+
+	// The IDs of the built-in modes which this world has already been given, starting with the ones from before 1.5.0
+	game.settings.register(Ctg.ID, "knownDefaultModes", {
+		scope: "world",
+		config: false,
+		default: ["none", "initiative", "name", "selection", "players", "actor", "checked", "type"],
+		type: Object,
 	});
 
 	game.settings.registerMenu(Ctg.ID, "modeConfig", {
@@ -40,16 +39,7 @@ export default function registerSettings() {
 	game.settings.register(Ctg.ID, "modes", {
 		scope: "world",
 		config: false,
-		default: [
-			["none", ""],
-			["initiative", "initiative"],
-			["name", "name"],
-			["selection", "data.flags.ctg.group"],
-			["players", "players.*.id"],
-			["actor", "data.actorId"],
-			["checked", "data.flags.ctg.checked"],
-			["type", "actor.type"],
-		],
+		default: DEFAULT_MODES.map(migrateModePaths),
 		type: Object,
 		onChange: () => ui.combat?.render(true),
 	});
@@ -60,14 +50,40 @@ export default function registerSettings() {
 		type: String,
 		default: "initiative",
 		onChange: mode => {
-			Ctg.log(false, `Mode changed to "${mode}"`);
+			Ctg.log(false, `Default mode changed to "${mode}"`);
+
+			// Re-render the combat tracker
+			ui.combat?.render(true);
+
+			// Call hook for mode update, without a combat since this is the default for the world
+			Hooks.call("ctgModeUpdate", mode, null);
+		},
+	});
+
+	game.settings.register(Ctg.ID, "subMode", {
+		scope: "world",
+		config: false,
+		type: String,
+		default: "none",
+		onChange: subMode => {
+			Ctg.log(false, `Default secondary mode changed to "${subMode}"`);
 
 			// Re-render the combat tracker
 			ui.combat?.render(true);
+		},
+	});
 
-			// Call hook for mode update
-			Hooks.call("ctgModeUpdate", mode);
+	game.settings.register(Ctg.ID, "groupLevel", {
+		name: "ctg.settings.groupLevel.name",
+		hint: "ctg.settings.groupLevel.hint",
+		scope: "world",
+		config: true,
+		type: Number,
+		choices: {
+			0: "ctg.settings.groupLevel.choices.primary",
+			1: "ctg.settings.groupLevel.choices.secondary",
 		},
+		default: 0,
 	});
 
 	game.settings.register(Ctg.ID, "groupSkipping", {
@@ -89,6 +105,34 @@ export default function registerSettings() {
 		},
 	});
 
+	game.settings.register(Ctg.ID, "announceGroupTurns", {
+		name: "ctg.settings.announceGroupTurns.name",
+		hint: "ctg.settings.announceGroupTurns.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	game.settings.register(Ctg.ID, "pingGroupTurns", {
+		name: "ctg.settings.pingGroupTurns.name",
+		hint: "ctg.settings.pingGroupTurns.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	game.settings.register(Ctg.ID, "groupOutlines", {
+		name: "ctg.settings.groupOutlines.name",
+		hint: "ctg.settings.groupOutlines.hint",
+		scope: "client",
+		config: true,
+		type: Boolean,
+		default: false,
+		onChange: () => Ctg.drawGroupOutlines(),
+	});
+
 	game.settings.register(Ctg.ID, "openToggles", {
 		name: "ctg.settings.openToggles.name",
 		hint: "ctg.settings.openToggles.hint",
@@ -142,6 +186,103 @@ export default function registerSettings() {
 		},
 	});
 
+	game.settings.register(Ctg.ID, "checkedResetOnRound", {
+		name: "ctg.settings.checkedResetOnRound.name",
+		hint: "ctg.settings.checkedResetOnRound.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: true,
+	});
+
+	game.settings.register(Ctg.ID, "checkedAutoAdvance", {
+		name: "ctg.settings.checkedAutoAdvance.name",
+		hint: "ctg.settings.checkedAutoAdvance.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	game.settings.register(Ctg.ID, "proximityDistance", {
+		name: "ctg.settings.proximityDistance.name",
+		hint: "ctg.settings.proximityDistance.hint",
+		scope: "world",
+		config: true,
+		type: Number,
+		range: {
+			min: 1,
+			max: 20,
+			step: 1,
+		},
+		default: 2,
+		onChange: () => {
+			ui.combat?.render(true);
+		},
+	});
+
+	game.settings.register(Ctg.ID, "proximityDisposition", {
+		name: "ctg.settings.proximityDisposition.name",
+		hint: "ctg.settings.proximityDisposition.hint",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: true,
+		onChange: () => {
+			ui.combat?.render(true);
+		},
+	});
+
+	game.settings.register(Ctg.ID, "initiativePolicy", {
+		name: "ctg.settings.initiativePolicy.name",
+		hint: "ctg.settings.initiativePolicy.hint",
+		scope: "world",
+		config: true,
+		type: String,
+		choices: Object.fromEntries(
+			Ctg.INITIATIVE_POLICIES.map(policy => [policy, `ctg.settings.initiativePolicy.choices.${policy}`])
+		),
+		default: "first",
+		onChange: () => {
+			ui.combat?.render(true);
+		},
+	});
+
+	game.settings.register(Ctg.ID, "rerollGroupInitiative", {
+		name: "ctg.settings.rerollGroupInitiative.name",
+		hint: "ctg.settings.rerollGroupInitiative.hint",
+		scope: "world",
+		config: true,
+		type: String,
+		choices: {
+			none: "ctg.settings.rerollGroupInitiative.choices.none",
+			all: "ctg.settings.rerollGroupInitiative.choices.all",
+			npc: "ctg.settings.rerollGroupInitiative.choices.npc",
+		},
+		default: "none",
+	});
+
+	// Permissions for what players can do through the GM
+	Object.entries(Socket.PERMISSIONS).forEach(([action, permission]) => {
+		game.settings.register(Ctg.ID, `${action}Permission`, {
+			name: `ctg.settings.${action}Permission.name`,
+			hint: `ctg.settings.${action}Permission.hint`,
+			scope: "world",
+			config: true,
+			type: String,
+			choices: {
+				none: "ctg.settings.permissionChoices.none",
+				owner: "ctg.settings.permissionChoices.owner",
+				all: "ctg.settings.permissionChoices.all",
+			},
+			default: permission,
+			onChange: () => {
+				ui.combat?.render(true);
+				ui.controls?.initialize();
+			},
+		});
+	});
+
 	game.settings.register(Ctg.ID, "alwaysRollGroupInitiative", {
 		name: "ctg.settings.alwaysRollGroupInitiative.name",
 		hint: "ctg.settings.alwaysRollGroupInitiative.hint",
@@ -0,0 +1,184 @@
+import Ctg from "./ctg.js";
+
+/** A proxy through the GM for the changes which players aren't allowed to make to documents themselves
+ * Requests are sent over the module's socket and handled by only one GM, who responds with whether they succeeded
+ */
+export default class Socket {
+	/** The name of the module's socket */
+	static get CHANNEL() {
+		return `module.${Ctg.ID}`;
+	}
+
+	/** How long to wait for a response before giving up, in milliseconds */
+	static TIMEOUT = 10000;
+
+	/** Actions which players can be given permission for and their default permissions */
+	static PERMISSIONS = { check: "all", group: "owner", label: "owner" };
+
+	/** Requests which are waiting for a response
+	 * @type {Map<string, {resolve: Function, reject: Function, timeout: number}>}
+	 */
+	static pending = new Map();
+
+	/** Handlers for each action which can be requested
+	 * Each one receives the data of the request and the user who sent it, and returns a serializable result or throws an error
+	 * @type {Object<string, function(object, User): Promise<*>>}
+	 */
+	static handlers = {
+		/** Check or uncheck a combatant in "Checked" mode */
+		check: async ({ combatId, combatantId, checked }, user) => {
+			const [, [combatant]] = Socket.getCombatants(combatId, [combatantId]);
+			Socket.assertPermission(user, "check", [combatant]);
+			await combatant.setFlag(Ctg.ID, "checked", Boolean(checked));
+		},
+		/** Put combatants into a Selection group, or remove them from their group if it is `null` */
+		group: async ({ combatId, combatantIds, group = null }, user) => {
+			const [combat, combatants] = Socket.getCombatants(combatId, combatantIds);
+			Socket.assertPermission(user, "group", combatants);
+			if (group !== null && typeof group !== "string") throw new Error("ctg.socket.invalidData");
+			const updates = combatants.map(c => ({ _id: c.id, [`flags.${Ctg.ID}.group`]: group }));
+			await combat.updateEmbeddedDocuments("Combatant", updates);
+			return updates;
+		},
+		/** Set the custom label of a group */
+		label: async ({ combatId, combatantIds, mode, label = null }, user) => {
+			const [combat, group] = Socket.getCombatants(combatId, combatantIds);
+			Socket.assertPermission(user, "label", group);
+			if (!Ctg.MODES.some(m => m.id === mode)) throw new Error("ctg.socket.invalidData");
+			await Ctg.setGroupLabel(group, Socket.sanitizeLabel(label), mode, combat);
+		},
+	};
+
+	/** Start listening to the socket */
+	static initialize() {
+		game.socket.on(Socket.CHANNEL, Socket._onMessage);
+	}
+
+	/** Request an action, which is done through the responsible GM unless this user is a GM
+	 * @param {string} action - The name of the action @see {@link handlers}
+	 * @param {object} [data] - The data for the action
+	 * @returns {Promise<*>} The result of the action
+	 * @throws {Error} If the action failed or no GM responded
+	 */
+	static async request(action, data = {}) {
+		// GMs can make the changes themselves
+		if (game.user.isGM) {
+			try {
+				return await Socket.handle(action, data, game.user);
+			} catch (error) {
+				throw new Error(game.i18n.localize(error.message));
+			}
+		}
+
+		if (!Ctg.responsibleGM) throw new Error(game.i18n.localize("ctg.socket.noGM"));
+
+		const requestId = randomID(16);
+		return new Promise((resolve, reject) => {
+			const timeout = setTimeout(() => {
+				Socket.pending.delete(requestId);
+				reject(new Error(game.i18n.localize("ctg.socket.timeout")));
+			}, Socket.TIMEOUT);
+			Socket.pending.set(requestId, { resolve, reject, timeout });
+			game.socket.emit(Socket.CHANNEL, { type: "request", action, requestId, userId: game.user.id, data });
+		});
+	}
+
+	/** Do a requested action
+	 * @param {string} action - The name of the action
+	 * @param {object} data - The data for the action
+	 * @param {User} user - The user who requested it
+	 * @returns {Promise<*>} The result of the action
+	 */
+	static async handle(action, data, user) {
+		const handler = Socket.handlers[action];
+		if (!handler) throw new Error("ctg.socket.unknownAction");
+		if (!user) throw new Error("ctg.socket.permissionDenied");
+		return handler(data, user);
+	}
+
+	/** Whether a user may do an action to some combatants
+	 * @param {User} user - The user
+	 * @param {string} action - The name of the action @see {@link PERMISSIONS}
+	 * @param {Combatant[]} combatants - The combatants which are changed
+	 * @returns {boolean}
+	 */
+	static can(user, action, combatants) {
+		if (user?.isGM) return true;
+		const permission = game.settings.get(Ctg.ID, `${action}Permission`);
+		return (
+			permission === "all" ||
+			(permission === "owner" && combatants.every(c => c.testUserPermission(user, "OWNER")))
+		);
+	}
+
+	/** Throw an error if a user may not do an action to some combatants
+	 * @see {@link can}
+	 */
+	static assertPermission(user, action, combatants) {
+		if (!Socket.can(user, action, combatants)) throw new Error("ctg.socket.permissionDenied");
+	}
+
+	/** Keep only the name, color, and icon of a label, as trimmed strings
+	 * @param {*} label - The label which was requested
+	 * @returns {{name?: string, color?: string, icon?: string}|null} The label, or `null` to remove it
+	 * @throws {Error} If the label isn't an object or any of its fields aren't strings
+	 */
+	static sanitizeLabel(label) {
+		if (label === null) return null;
+		if (typeof label !== "object" || Array.isArray(label)) throw new Error("ctg.socket.invalidData");
+		const sanitized = {};
+		for (const key of ["name", "color", "icon"]) {
+			if (label[key] === undefined || label[key] === null) continue;
+			if (typeof label[key] !== "string") throw new Error("ctg.socket.invalidData");
+			sanitized[key] = label[key].trim();
+		}
+		return sanitized;
+	}
+
+	/** Get a combat and some of its combatants
+	 * @param {string} combatId - The ID of the combat
+	 * @param {string[]} combatantIds - The IDs of the combatants
+	 * @returns {[Combat, Combatant[]]}
+	 * @throws {Error} If any of them don't exist
+	 */
+	static getCombatants(combatId, combatantIds = []) {
+		const combat = game.combats.get(combatId);
+		const combatants = combatantIds.map(id => combat?.combatants.get(id));
+		if (!combat || !combatants.length || combatants.some(c => !c)) throw new Error("ctg.socket.notFound");
+		return [combat, combatants];
+	}
+
+	/** Handle a message from the socket
+	 * @param {object} message
+	 */
+	static async _onMessage(message) {
+		if (message.type === "response") return Socket._onResponse(message);
+
+		// Only the responsible GM handles requests so that they're only done once
+		if (message.type !== "request" || game.user !== Ctg.responsibleGM) return;
+
+		const { action, requestId, userId, data } = message;
+		const response = { type: "response", requestId, userId, success: true };
+		try {
+			response.result = (await Socket.handle(action, data, game.users.get(userId))) ?? null;
+		} catch (error) {
+			Ctg.log(false, `Request "${action}" from user "${userId}" failed:`, error);
+			response.success = false;
+			response.error = error.message;
+		}
+		game.socket.emit(Socket.CHANNEL, response);
+	}
+
+	/** Settle a pending request when its response arrives
+	 * @param {object} response
+	 */
+	static _onResponse({ requestId, userId, success, result, error }) {
+		const request = Socket.pending.get(requestId);
+		if (userId !== game.user.id || !request) return;
+
+		clearTimeout(request.timeout);
+		Socket.pending.delete(requestId);
+		if (success) request.resolve(result);
+		else request.reject(new Error(game.i18n.localize(error)));
+	}
+}
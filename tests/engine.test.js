@@ -0,0 +1,404 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+	DEFAULT_MODES,
+	compareCombatants,
+	compareValues,
+	getPathValue,
+	groupCombatants,
+	joinNames,
+	parsePath,
+	recursiveGetProperty,
+	recursiveGetPropertyConcat,
+} from "../scripts/engine.js";
+
+/** Create a fake combatant with the properties which the built-in modes use in the document model of Foundry VTT v9
+ * @param {string} id - The ID of the combatant
+ * @param {object} [data] - The properties of the combatant
+ * @returns {object} The combatant
+ */
+function combatant(id, { name = id, initiative = null, actorId = null, type, group, checked, players = [], hp } = {}) {
+	return {
+		id,
+		name,
+		initiative,
+		players: players.map(id => ({ id })),
+		actor: { type, data: { data: { attributes: { hp } } } },
+		data: { actorId, flags: { ctg: { group, checked } } },
+	};
+}
+
+/** Get a built-in mode
+ * @param {string} id - The ID of the mode
+ * @returns {Mode} The mode
+ */
+const mode = id => DEFAULT_MODES.find(m => m.id === id);
+
+/** Get the IDs of the combatants in each group
+ * @param {object[][]} groups - The groups
+ * @returns {string[][]} The IDs
+ */
+const ids = groups => groups.map(group => group.map(c => c.id));
+
+describe("groupCombatants", () => {
+	describe("groups the same combatants by every built-in mode", () => {
+		const combatants = [
+			combatant("a", {
+				name: "Orc",
+				initiative: 10,
+				actorId: "orcActorId000001",
+				type: "npc",
+				group: "aaaaaaaaaaaaaaaa",
+				checked: true,
+				players: ["p1"],
+			}),
+			combatant("b", {
+				name: "Goblin",
+				initiative: 10,
+				actorId: "goblinActorId001",
+				type: "npc",
+				group: "aaaaaaaaaaaaaaaa",
+				players: ["p1"],
+			}),
+			combatant("c", {
+				name: "Orc",
+				initiative: 5,
+				actorId: "orcActorId000001",
+				type: "character",
+				checked: true,
+				players: ["p2"],
+			}),
+			combatant("d", {
+				name: "Goblin",
+				initiative: 5,
+				actorId: "goblinActorId001",
+				type: "character",
+				group: "bbbbbbbbbbbbbbbb",
+				players: ["p2"],
+			}),
+		];
+
+		/** The groups which each built-in mode should put the combatants into, so a new built-in mode fails until it is added */
+		const expected = {
+			none: [],
+			initiative: [
+				["b", "a"],
+				["d", "c"],
+			],
+			name: [
+				["b", "d"],
+				["a", "c"],
+			],
+			selection: [["b", "a"], ["d"]],
+			players: [
+				["b", "a"],
+				["d", "c"],
+			],
+			actor: [
+				["b", "d"],
+				["a", "c"],
+			],
+			checked: [["a", "c"]],
+			type: [
+				["d", "c"],
+				["b", "a"],
+			],
+			proximity: [
+				["b", "a"],
+				["d", "c"],
+			],
+		};
+
+		// Tokens are near each other in Proximity mode when they have the same initiative
+		const isNear = (a, b) => a.initiative === b.initiative;
+
+		for (const { id } of DEFAULT_MODES) {
+			it(`in ${id} mode`, () => {
+				assert.ok(id in expected, `There are no expected groups for the "${id}" mode`);
+				const options = id === "proximity" ? { isNear } : {};
+				assert.deepEqual(ids(groupCombatants(combatants, mode(id), options)), expected[id]);
+			});
+		}
+	});
+
+	it("doesn't group anything in None mode", () => {
+		const combatants = [combatant("a", { initiative: 10 }), combatant("b", { initiative: 10 })];
+		assert.deepEqual(groupCombatants(combatants, mode("none")), []);
+	});
+
+	it("groups by initiative from highest to lowest, including 0, and leaves out missing initiatives", () => {
+		const combatants = [
+			combatant("a", { initiative: 5 }),
+			combatant("b", { initiative: 12 }),
+			combatant("c", { initiative: 0 }),
+			combatant("d", { initiative: 5 }),
+			combatant("e", { initiative: 0 }),
+			combatant("f"),
+		];
+		assert.deepEqual(ids(groupCombatants(combatants, mode("initiative"))), [["b"], ["a", "d"], ["c", "e"]]);
+	});
+
+	it("groups by name alphabetically", () => {
+		const combatants = [
+			combatant("a", { name: "Orc" }),
+			combatant("b", { name: "Goblin" }),
+			combatant("c", { name: "Orc" }),
+		];
+		assert.deepEqual(ids(groupCombatants(combatants, mode("name"))), [["b"], ["a", "c"]]);
+	});
+
+	it("groups by selection and leaves ungrouped combatants out", () => {
+		const combatants = [
+			combatant("a", { group: "aaaaaaaaaaaaaaaa", initiative: 3 }),
+			combatant("b", { group: "bbbbbbbbbbbbbbbb", initiative: 20 }),
+			combatant("c", { group: "aaaaaaaaaaaaaaaa", initiative: 8 }),
+			combatant("d", { initiative: 15 }),
+		];
+		// Random group IDs aren't compared, so the groups are sorted by the initiative of their first combatants
+		assert.deepEqual(ids(groupCombatants(combatants, mode("selection"))), [["b"], ["c", "a"]]);
+	});
+
+	it("groups by all of the players who own a combatant", () => {
+		const combatants = [
+			combatant("a", { players: ["p1", "p2"] }),
+			combatant("b", { players: ["p2", "p1"] }),
+			combatant("c", { players: ["p1"] }),
+			combatant("d"),
+		];
+		assert.deepEqual(ids(groupCombatants(combatants, mode("players"))), [["c"], ["a", "b"]]);
+	});
+
+	it("groups by actor", () => {
+		const combatants = [
+			combatant("a", { actorId: "goblinActorId0001" }),
+			combatant("b", { actorId: "orcActorId0000001" }),
+			combatant("c", { actorId: "goblinActorId0001" }),
+		];
+		assert.deepEqual(ids(groupCombatants(combatants, mode("actor"))), [["a", "c"], ["b"]]);
+	});
+
+	it("only groups checked combatants in Checked mode", () => {
+		const combatants = [
+			combatant("a", { checked: true }),
+			combatant("b", { checked: false }),
+			combatant("c", { checked: true }),
+			combatant("d"),
+		];
+		assert.deepEqual(ids(groupCombatants(combatants, mode("checked"))), [["a", "c"]]);
+	});
+
+	it("groups by actor type", () => {
+		const combatants = [
+			combatant("a", { type: "npc" }),
+			combatant("b", { type: "character" }),
+			combatant("c", { type: "npc" }),
+		];
+		assert.deepEqual(ids(groupCombatants(combatants, mode("type"))), [["b"], ["a", "c"]]);
+	});
+
+	it("clusters combatants which are near each other in Proximity mode", () => {
+		const positions = { a: 0, b: 1, c: 10, d: 2, e: 11 };
+		const isNear = (a, b) => Math.abs(positions[a.id] - positions[b.id]) <= 1;
+		const combatants = Object.keys(positions).map(id => combatant(id, { initiative: positions[id] }));
+		const groups = groupCombatants(combatants, mode("proximity"), { isNear });
+		assert.deepEqual(ids(groups), [
+			["e", "c"],
+			["d", "b", "a"],
+		]);
+	});
+
+	it("doesn't group combatants which can't be grouped", () => {
+		const combatants = [combatant("a", { name: "Orc" }), combatant("b", { name: "Orc" })];
+		const groups = groupCombatants(combatants, mode("name"), { canGroup: c => c.id !== "b" });
+		assert.deepEqual(ids(groups), [["a"]]);
+	});
+
+	it("groups by several paths at once", () => {
+		const combatants = [
+			combatant("a", { name: "Orc", type: "npc" }),
+			combatant("b", { name: "Orc", type: "character" }),
+			combatant("c", { name: "Orc", type: "npc" }),
+		];
+		const compound = { id: "compound", paths: ["name", "actor.type"], options: {} };
+		assert.deepEqual(ids(groupCombatants(combatants, compound)), [["b"], ["a", "c"]]);
+	});
+
+	it("groups by transformed values of 0", () => {
+		const combatants = [
+			combatant("a", { initiative: 3 }),
+			combatant("b", { initiative: 4 }),
+			combatant("c", { initiative: 7, hp: { value: 0, max: 10 } }),
+			combatant("d", { initiative: 9, hp: { value: 0, max: 7 } }),
+		];
+		const bucket = { id: "bucket", paths: ["initiative|bucket:5"], options: {} };
+		assert.deepEqual(ids(groupCombatants(combatants, bucket)), [
+			["d", "c"],
+			["b", "a"],
+		]);
+
+		const percent = {
+			id: "percent",
+			paths: ["actor.data.data.attributes.hp.value|percent:actor.data.data.attributes.hp.max"],
+			options: {},
+		};
+		assert.deepEqual(ids(groupCombatants(combatants, percent)), [["d", "c"]]);
+	});
+});
+
+describe("recursiveGetProperty", () => {
+	const object = {
+		id: "object",
+		items: [
+			{ id: "item1", effects: [{ label: "Blessed" }, { label: "Hasted" }] },
+			{ id: "item2", effects: [{ label: "Bane" }] },
+		],
+	};
+
+	it("gets a property like getProperty without a wildcard", () => {
+		assert.equal(recursiveGetProperty(object, "items.1.id"), "item2");
+		assert.equal(recursiveGetProperty(object, "missing.path"), undefined);
+	});
+
+	it("gets the property of each item in an array with .*.", () => {
+		assert.deepEqual(recursiveGetProperty(object, "items.*.id"), ["item1", "item2"]);
+	});
+
+	it("descends through nested wildcards", () => {
+		assert.deepEqual(recursiveGetProperty(object, "items.*.effects.*.label"), [["Blessed", "Hasted"], ["Bane"]]);
+	});
+
+	it("concatenates the values of a wildcard in sorted order", () => {
+		assert.equal(recursiveGetPropertyConcat(object, "items.*.id"), "item1item2");
+		assert.equal(recursiveGetPropertyConcat(object, "items.*.effects.*.label"), "BaneBlessedHasted");
+	});
+});
+
+describe("parsePath", () => {
+	it("parses transforms and their arguments", () => {
+		assert.deepEqual(parsePath("a.b | bucket:5 | lower | default:c.d"), {
+			path: "a.b",
+			transforms: [
+				{ name: "bucket", argument: 5 },
+				{ name: "lower", argument: undefined },
+				{ name: "default", argument: "c.d" },
+			],
+		});
+		assert.deepEqual(parsePath("a|eq:x:y").transforms, [{ name: "eq", argument: "x:y" }]);
+	});
+
+	it("throws for unknown transforms", () => {
+		assert.throws(() => parsePath("a|nope"), { message: "ctg.errors.unknownTransform" });
+	});
+
+	it("throws for missing arguments", () => {
+		assert.throws(() => parsePath("a|bucket"), { message: "ctg.errors.missingArgument" });
+		assert.throws(() => parsePath("a|default:"), { message: "ctg.errors.missingArgument" });
+	});
+
+	it("throws for unexpected arguments", () => {
+		assert.throws(() => parsePath("a|lower:1"), { message: "ctg.errors.unexpectedArgument" });
+	});
+
+	it("throws for invalid numbers and empty buckets", () => {
+		assert.throws(() => parsePath("a|lt:ten"), { message: "ctg.errors.invalidNumber" });
+		assert.throws(() => parsePath("a|bucket:0"), { message: "ctg.errors.invalidNumber" });
+	});
+
+	it("applies the transforms in order", () => {
+		const object = { a: "Goblin", b: 17, c: null, d: "Fallback" };
+		assert.equal(getPathValue(object, "a|upper"), "GOBLIN");
+		assert.equal(getPathValue(object, "b|bucket:5"), 15);
+		assert.equal(getPathValue(object, "b|gte:17"), true);
+		assert.equal(getPathValue(object, "c|default:d|lower"), "fallback");
+	});
+});
+
+describe("compareValues", () => {
+	it("sorts numbers from highest to lowest and text alphabetically by default", () => {
+		assert.ok(compareValues(20, 5) < 0);
+		assert.ok(compareValues("5", "20") > 0);
+		assert.ok(compareValues("Goblin", "Orc") < 0);
+		assert.ok(compareValues(false, true) < 0);
+	});
+
+	it("puts missing values last in either direction", () => {
+		for (const direction of ["auto", "asc", "desc"]) {
+			assert.ok(compareValues(null, 1, { direction }) > 0);
+			assert.ok(compareValues("a", undefined, { direction }) < 0);
+			assert.ok(compareValues("", "a", { direction }) > 0);
+			assert.equal(compareValues(null, undefined, { direction }), 0);
+		}
+	});
+
+	it("uses the chosen direction", () => {
+		assert.ok(compareValues(20, 5, { direction: "asc" }) > 0);
+		assert.ok(compareValues("Goblin", "Orc", { direction: "desc" }) > 0);
+	});
+
+	it("uses the chosen comparator", () => {
+		assert.ok(compareValues("Goblin 2", "Goblin 10", { comparator: "natural" }) < 0);
+		assert.ok(compareValues("Goblin 2", "Goblin 10", { comparator: "alphabetical" }) > 0);
+		assert.ok(compareValues("x", 3, { comparator: "numeric" }) > 0);
+		const order = ["boss", "elite", "minion"];
+		assert.ok(compareValues("minion", "boss", { comparator: "order", order }) > 0);
+		assert.ok(compareValues("other", "minion", { comparator: "order", order }) > 0);
+	});
+
+	it("leaves IDs to be decided by something else", () => {
+		assert.equal(compareValues("aaaaaaaaaaaaaaaa", "bbbbbbbbbbbbbbbb"), 0);
+	});
+
+	it("compares arrays by their first item and objects by their ID", () => {
+		assert.ok(compareValues([1, 9], [2, 0]) > 0);
+		assert.ok(compareValues({ id: "a" }, { id: "b" }) < 0);
+	});
+});
+
+describe("compareCombatants", () => {
+	it("compares the paths of the mode in order", () => {
+		const compound = { id: "compound", paths: ["actor.type", "name"], options: {} };
+		const a = combatant("a", { type: "npc", name: "Orc" });
+		const b = combatant("b", { type: "character", name: "Zed" });
+		const c = combatant("c", { type: "npc", name: "Goblin" });
+		assert.deepEqual(
+			[a, b, c].sort((x, y) => compareCombatants(x, y, compound)).map(x => x.id),
+			["b", "c", "a"]
+		);
+	});
+
+	it("uses the sort options of the mode", () => {
+		const sorted = {
+			id: "sorted",
+			paths: ["actor.type"],
+			options: { sort: { comparator: "order", order: ["npc", "character"] } },
+		};
+		const a = combatant("a", { type: "character" });
+		const b = combatant("b", { type: "npc" });
+		assert.ok(compareCombatants(a, b, sorted) > 0);
+	});
+
+	it("falls back to the tie-breakers and then the IDs", () => {
+		const a = combatant("a", { type: "npc", initiative: 5, name: "Orc" });
+		const b = combatant("b", { type: "npc", initiative: 10, name: "Orc" });
+		const c = combatant("c", { type: "npc", initiative: 10, name: "Goblin" });
+		const d = combatant("d", { type: "npc", initiative: 10, name: "Goblin" });
+		assert.deepEqual(
+			[a, b, d, c].sort((x, y) => compareCombatants(x, y, mode("type"))).map(x => x.id),
+			["c", "d", "b", "a"]
+		);
+
+		const byName = { id: "byName", paths: ["actor.type"], options: { sort: { tieBreakers: ["name"] } } };
+		assert.deepEqual(
+			[a, b, d, c].sort((x, y) => compareCombatants(x, y, byName)).map(x => x.id),
+			["c", "d", "a", "b"]
+		);
+	});
+});
+
+describe("joinNames", () => {
+	it("joins the unique names of a group", () => {
+		assert.equal(joinNames(["Goblin"]), "Goblin");
+		assert.equal(joinNames(["Goblin", "Orc", "Goblin"]), "Goblin and Orc");
+		assert.equal(joinNames(["Goblin", "Orc", "Troll"]), "Goblin, Orc, Troll");
+	});
+});